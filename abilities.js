@@ -0,0 +1,60 @@
+// abilities.js - Player-activated tower abilities
+// Abilities a tower level can grant through its `active` stat, triggered from the tower panel or with a hotkey
+
+import { StatusEffects } from './effects.js';
+import { weatherMultiplier } from './weather.js';
+
+/**
+ * Key that triggers the selected tower's ability
+ */
+export const ABILITY_HOTKEY = 'q';
+
+/**
+ * Registered active abilities. Each lists the `active` fields it needs;
+ * activate() returns false when there was nothing to affect, in which
+ * case the ability does not go on cooldown.
+ */
+export const ActiveAbilities = {
+    sweep: {
+        label: 'Quét sạch',
+        icon: '🌀',
+        requires: ['dmg'],
+        describe: active => `Gây ${active.dmg} sát thương cho mọi sâu bệnh trong tầm`,
+        activate: (tower, active, gameState) => {
+            const targets = tower.findTargets(gameState.enemies);
+            targets.forEach(enemy => {
+                tower.recordDamage(enemy, enemy.takeDamage(active.dmg, tower.damageType), gameState);
+            });
+            return targets.length > 0;
+        }
+    },
+    flood: {
+        label: 'Ngập nước',
+        icon: '🌊',
+        requires: ['effect', 'duration_s'],
+        describe: active => {
+            const effect = StatusEffects[active.effect];
+            const text = effect ? effect.describe(active.value || 0, active.duration_s) : active.effect;
+            return `${text} cho mọi sâu bệnh trên bản đồ${active.no_effect_on_boss ? ' (trừ trùm)' : ''}`;
+        },
+        activate: (tower, active, gameState) => {
+            const targets = gameState.enemies.filter(enemy =>
+                enemy.isAlive() && !(active.no_effect_on_boss && enemy.isBoss)
+            );
+            targets.forEach(enemy => {
+                enemy.applyStatusEffect(active.effect, active.value || 0, active.duration_s, tower);
+            });
+            return targets.length > 0;
+        }
+    },
+    harvest_now: {
+        label: 'Thu hoạch ngay',
+        icon: '💰',
+        requires: ['amount'],
+        describe: active => `Nhận ngay $${active.amount}`,
+        activate: (tower, active, gameState) => {
+            tower.earnIncome(Math.round(active.amount * weatherMultiplier(gameState.weather, 'eco_income_pct')), gameState);
+            return true;
+        }
+    }
+};
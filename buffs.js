@@ -0,0 +1,101 @@
+// buffs.js - Support tower buffs
+// Bonuses a tower grants to the towers in its range through its `buffs` stat, and how they stack
+
+/**
+ * How buffs of one type from several towers combine into one total:
+ * - additive: percentages are summed
+ * - multiplicative: factors of (1 + pct/100) are multiplied
+ * - diminishing: remaining shares of (1 - pct/100) are multiplied, so the total stays under 100%
+ * - flag: granted when any tower grants it
+ */
+export const BuffStacking = {
+    additive: values => values.reduce((sum, value) => sum + value, 0),
+    multiplicative: values => (values.reduce((product, value) => product * (1 + value / 100), 1) - 1) * 100,
+    diminishing: values => (1 - values.reduce((product, value) => product * (1 - Math.min(value, 100) / 100), 1)) * 100,
+    flag: values => values.some(Boolean)
+};
+
+// A slow ability, with its value scaled by a slow strength buff
+const strengthenSlow = (ability, pct) => (ability?.effect === 'slow' ?
+    { ...ability, value: (ability.value || 0) * (1 + pct / 100) } :
+    ability);
+
+/**
+ * Registered buff types, keyed as in the `buffs` stat. Totals of
+ * percentage buffs are capped at max_pct; appliesTo() picks the towers
+ * a buff does anything for, apply() changes a copy of their stats.
+ */
+export const BuffTypes = {
+    firerate_pct: {
+        label: 'Tốc độ bắn',
+        stacking: 'diminishing',
+        max_pct: 75,
+        appliesTo: stats => Boolean(stats.dmg && stats.firerate_s),
+        apply: (stats, total) => { stats.firerate_s *= 1 - total / 100; }
+    },
+    range_pct: {
+        label: 'Tầm bắn',
+        stacking: 'multiplicative',
+        max_pct: 100,
+        appliesTo: stats => Boolean(stats.dmg && stats.range),
+        apply: (stats, total) => { stats.range *= 1 + total / 100; }
+    },
+    damage_pct: {
+        label: 'Sát thương',
+        stacking: 'additive',
+        max_pct: 100,
+        appliesTo: stats => Boolean(stats.dmg),
+        apply: (stats, total) => { stats.dmg *= 1 + total / 100; }
+    },
+    income_pct: {
+        label: 'Thu nhập',
+        stacking: 'additive',
+        max_pct: 100,
+        appliesTo: stats => Boolean(stats.income),
+        apply: (stats, total) => { stats.income = Math.round(stats.income * (1 + total / 100)); }
+    },
+    slow_strength_pct: {
+        label: 'Độ làm chậm',
+        stacking: 'additive',
+        max_pct: 100,
+        appliesTo: stats => stats.ability?.effect === 'slow' || stats.active?.effect === 'slow',
+        apply: (stats, total) => {
+            stats.ability = strengthenSlow(stats.ability, total);
+            stats.active = strengthenSlow(stats.active, total);
+        }
+    },
+    infection_resistance_pct: {
+        label: 'Kháng bệnh',
+        stacking: 'diminishing',
+        max_pct: 90,
+        appliesTo: () => true,
+        // Read by Tower.applyInfectionDebuff
+        apply: (stats, total) => { stats.infection_resistance_pct = total; }
+    },
+    camo_detection: {
+        label: 'Phát hiện sâu ngụy trang',
+        stacking: 'flag',
+        appliesTo: stats => Boolean(stats.dmg),
+        apply: stats => { stats.camo_detection = true; }
+    }
+};
+
+/**
+ * Combined value of one buff type, capped
+ * @param {string} type - Key of BuffTypes
+ * @param {Array<number|boolean>} values - What each source grants
+ */
+export function combineBuffs(type, values) {
+    const buffType = BuffTypes[type];
+    const total = BuffStacking[buffType.stacking](values);
+    return buffType.max_pct !== undefined ? Math.min(buffType.max_pct, total) : total;
+}
+
+/**
+ * A buff value as text, e.g. "+10% Sát thương"
+ */
+export function describeBuff(type, value) {
+    const buffType = BuffTypes[type];
+    if (buffType.stacking === 'flag') return buffType.label;
+    return `+${Math.round(value)}% ${buffType.label}`;
+}
@@ -53,6 +53,7 @@ class CheatCodesManager {
         const oldMoney = this.gameManager.gameState.money;
         this.gameManager.gameState.earnMoney(amount);
         
+        this.markCheated();
         this.logCommand(`cash(${amount})`);
         showNotification(`💰 Added $${amount} (Total: $${Math.floor(this.gameManager.gameState.money)})`, false);
         
@@ -86,6 +87,7 @@ class CheatCodesManager {
         // Set wave number (0-based internally)
         gameState.currentWave = waveNumber - 1;
         
+        this.markCheated();
         this.logCommand(`wave(${waveNumber})`);
         showNotification(`🌊 Skipped to Wave ${waveNumber}`, false);
         
@@ -111,6 +113,7 @@ class CheatCodesManager {
         const oldLives = this.gameManager.gameState.lives;
         this.gameManager.gameState.lives = 9999;
         
+        this.markCheated();
         this.logCommand('god()');
         showNotification('⚡ God Mode Activated! Lives set to 9999', false);
         
@@ -132,6 +135,7 @@ class CheatCodesManager {
         const count = this.gameManager.gameState.enemies.length;
         this.gameManager.gameState.enemies = [];
         
+        this.markCheated();
         this.logCommand('clear()');
         showNotification(`🧹 Cleared ${count} enemies`, false);
         
@@ -154,15 +158,16 @@ class CheatCodesManager {
 
         let upgraded = 0;
         towers.forEach(tower => {
-            const towerData = this.gameManager.gameState.gameData.towers.find(t => t.id === tower.id);
-            if (!towerData) return;
-
-            while (tower.level < towerData.upgrades.length) {
-                tower.upgrade(towers);
+            // Towers at a branch point take their first path
+            let options = tower.getUpgradeOptions();
+            while (options.length > 0) {
+                tower.upgrade(towers, options[0].pathId);
                 upgraded++;
+                options = tower.getUpgradeOptions();
             }
         });
 
+        this.markCheated();
         this.logCommand('upgrade()');
         showNotification(`⬆️ Upgraded ${upgraded} tower levels`, false);
         
@@ -184,6 +189,7 @@ class CheatCodesManager {
         const maxLives = this.gameManager.gameState.gameData.game_settings.start_lives;
         this.gameManager.gameState.lives = maxLives;
         
+        this.markCheated();
         this.logCommand('heal()');
         showNotification(`❤️ Base healed to ${maxLives} lives`, false);
         
@@ -257,6 +263,15 @@ class CheatCodesManager {
         return true;
     }
 
+    /**
+     * Flag the running game, so no replay is exported for it
+     */
+    markCheated() {
+        if (this.gameManager.simulation) {
+            this.gameManager.simulation.cheated = true;
+        }
+    }
+
     /**
      * Log command to history
      */
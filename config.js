@@ -1,6 +1,12 @@
 // config.js - Complete rewrite with better configuration management
 // Centralized game configuration and utilities
 
+import { StatusEffects } from './effects.js';
+import { ActiveAbilities } from './abilities.js';
+import { BuffTypes } from './buffs.js';
+import { RuleModifiers } from './difficulty.js';
+import { WeatherOverlays } from './weather.js';
+
 /**
  * Game constants and configuration values
  */
@@ -10,6 +16,10 @@ export const GameConstants = {
     TOWER_MIN_DISTANCE: 40,
     PATH_CLEARANCE: 45,
     
+    // Logical world size; the camera scales it to fit the canvas
+    WORLD_WIDTH: 1200,
+    WORLD_HEIGHT: 600,
+    
     // Movement speeds (pixels per second base)
     ENEMY_SPEED_MULTIPLIER: 60,
     PROJECTILE_SPEED: 400,
@@ -20,9 +30,11 @@ export const GameConstants = {
     HEALTH_BAR_HEIGHT: 4,
     
     // Game mechanics
-    SELL_REFUND_RATE: 0.7,
+    MIN_DAMAGE_RATIO: 0.1, // Armor never blocks more than 90% of a hit
     MAX_DELTA_TIME: 0.1,
     DEFAULT_DELTA_TIME: 0.016,
+    FIXED_TIMESTEP: 1 / 60,
+    GAME_SPEEDS: [1, 2, 3],
     
     // UI settings
     TOWER_HIT_RADIUS: 25,
@@ -75,91 +87,6 @@ export const Colors = {
     EFFECT_SLOW: '#4FC3F7'
 };
 
-/**
- * Path waypoints for enemy movement
- */
-export const path = [
-    { x: -50, y: 200 },
-    { x: 300, y: 200 },
-    { x: 300, y: 400 },
-    { x: 600, y: 400 },
-    { x: 600, y: 100 },
-    { x: 900, y: 100 },
-    { x: 900, y: 500 },
-    { x: 1250, y: 500 } // This will be adjusted to canvas width
-];
-
-/**
- * Path management utilities
- */
-export class PathManager {
-    static originalPath = [...path];
-    
-    /**
-     * Update path to match canvas dimensions
-     */
-    static updatePathForCanvas(canvasWidth, canvasHeight) {
-        // Adjust the last waypoint to go off-screen
-        if (path.length > 0) {
-            path[path.length - 1].x = canvasWidth + 50;
-        }
-    }
-    
-    /**
-     * Reset path to original configuration
-     */
-    static resetPath() {
-        path.length = 0;
-        path.push(...this.originalPath);
-    }
-    
-    /**
-     * Get total path length
-     */
-    static getPathLength() {
-        let totalLength = 0;
-        for (let i = 1; i < path.length; i++) {
-            const dx = path[i].x - path[i - 1].x;
-            const dy = path[i].y - path[i - 1].y;
-            totalLength += Math.hypot(dx, dy);
-        }
-        return totalLength;
-    }
-    
-    /**
-     * Get position along path at given progress (0-1)
-     */
-    static getPositionAtProgress(progress) {
-        const totalLength = this.getPathLength();
-        const targetDistance = totalLength * progress;
-        
-        let currentDistance = 0;
-        for (let i = 1; i < path.length; i++) {
-            const dx = path[i].x - path[i - 1].x;
-            const dy = path[i].y - path[i - 1].y;
-            const segmentLength = Math.hypot(dx, dy);
-            
-            if (currentDistance + segmentLength >= targetDistance) {
-                const segmentProgress = (targetDistance - currentDistance) / segmentLength;
-                return {
-                    x: path[i - 1].x + dx * segmentProgress,
-                    y: path[i - 1].y + dy * segmentProgress,
-                    segmentIndex: i - 1
-                };
-            }
-            
-            currentDistance += segmentLength;
-        }
-        
-        // Return end position if progress >= 1
-        return {
-            x: path[path.length - 1].x,
-            y: path[path.length - 1].y,
-            segmentIndex: path.length - 1
-        };
-    }
-}
-
 /**
  * Geometry utilities
  */
@@ -199,9 +126,9 @@ export class GeometryUtils {
     }
     
     /**
-     * Check if point is near any segment of the path
+     * Check if point is near any segment of a path
      */
-    static isPointNearPath(point, clearance = GameConstants.PATH_CLEARANCE) {
+    static isPointNearPath(point, path, clearance = GameConstants.PATH_CLEARANCE) {
         for (let i = 0; i < path.length - 1; i++) {
             if (this.isPointNearLineSegment(point, path[i], path[i + 1], clearance)) {
                 return true;
@@ -284,53 +211,779 @@ export class PerformanceMonitor {
     }
 }
 
+/**
+ * Tower types that have behaviour in Tower.update()
+ */
+export const TowerTypes = ['eco', 'single', 'single_heavy', 'aoe', 'support', 'support_sensor'];
+
+/**
+ * Damage types a tower can deal; enemies may resist each one
+ */
+export const DamageTypes = ['kinetic', 'water', 'chemical'];
+
+/**
+ * Stats every level of a tower must define, by tower type
+ */
+const REQUIRED_TOWER_STATS = {
+    eco: ['income', 'interval_s'],
+    single: ['dmg', 'firerate_s', 'range'],
+    single_heavy: ['dmg', 'firerate_s', 'range'],
+    aoe: ['dmg', 'firerate_s', 'range', 'aoe_radius'],
+    support: ['range', 'buffs'],
+    support_sensor: ['range', 'scan_delay_s']
+};
+
+// Stats shared by a tower's base level and its upgrades
+const TOWER_STAT_FIELDS = {
+    dmg: { type: 'number', min: 0 },
+    firerate_s: { type: 'number', min: 0.01 },
+    range: { type: 'number', min: 0 },
+    aoe_radius: { type: 'number', min: 0 },
+    income: { type: 'number', min: 0 },
+    interval_s: { type: 'number', min: 0.1 },
+    // Granted to every tower in range, keyed by buff type (see buffs.js)
+    buffs: {
+        type: 'object',
+        fields: Object.fromEntries(Object.entries(BuffTypes).map(([type, buffType]) => [
+            type,
+            buffType.stacking === 'flag' ? { type: 'boolean' } : { type: 'number', min: 0, max: 100 }
+        ]))
+    },
+    scan_delay_s: { type: 'number', min: 0.1 },
+    auto_heal: { type: 'boolean' },
+    // Lets the tower target camo enemies without a sensor nearby
+    camo_detection: { type: 'boolean' },
+    // Overrides the tower's damage_type from this level on
+    damage_type: { type: 'string', values: DamageTypes },
+    auto_heal_time_s: { type: 'number', min: 0, nullable: true },
+    ability: {
+        type: 'object',
+        fields: {
+            // Status effect applied to every enemy the tower hits
+            effect: { type: 'string', required: true, values: Object.keys(StatusEffects) },
+            value: { type: 'number', min: 0 },
+            duration_s: { type: 'number', required: true, min: 0 },
+            no_effect_on_boss: { type: 'boolean' }
+        }
+    },
+    // Ability the player triggers, see abilities.js for the fields each type needs
+    active: {
+        type: 'object',
+        fields: {
+            type: { type: 'string', required: true, values: Object.keys(ActiveAbilities) },
+            cooldown_s: { type: 'number', required: true, min: 1 },
+            dmg: { type: 'number', min: 0 },
+            effect: { type: 'string', values: Object.keys(StatusEffects) },
+            value: { type: 'number', min: 0 },
+            duration_s: { type: 'number', min: 0 },
+            no_effect_on_boss: { type: 'boolean' },
+            amount: { type: 'number', min: 0 }
+        }
+    }
+};
+
+// A tower's upgrade levels, in the order they are bought
+const UPGRADES_FIELD = {
+    type: 'array',
+    items: {
+        type: 'object',
+        fields: {
+            name: { type: 'string', required: true },
+            cost: { type: 'number', required: true, min: 0 },
+            ...TOWER_STAT_FIELDS
+        }
+    }
+};
+
+// Normalized (0-1) points an enemy walks through, entrance first
+const WAYPOINTS_FIELD = {
+    type: 'array',
+    minItems: 2,
+    items: {
+        type: 'object',
+        fields: {
+            x: { type: 'number', required: true },
+            y: { type: 'number', required: true }
+        }
+    }
+};
+
+/**
+ * Schema for data.json. A field spec has a `type` and optionally
+ * `required`, `nullable`, `values` (allowed values), `min`/`max` (numbers), `minItems` and `items`
+ * (arrays) or `fields` (objects, where any other key is reported).
+ */
+export const GameDataSchema = {
+    type: 'object',
+    fields: {
+        // Bump with every gameplay change to towers, enemies, waves or settings: replays only load with the version they were recorded with
+        version: { type: 'number', min: 0 },
+        maps: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                fields: {
+                    id: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    description: { type: 'string' },
+                    background: { type: 'string', required: true },
+                    // A single path, or `lanes` for several entrances and forks
+                    waypoints: WAYPOINTS_FIELD,
+                    lanes: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                id: { type: 'string', required: true },
+                                waypoints: { ...WAYPOINTS_FIELD, required: true }
+                            }
+                        }
+                    },
+                    blocked_zones: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            fields: {
+                                x: { type: 'number', required: true },
+                                y: { type: 'number', required: true },
+                                width: { type: 'number', required: true, min: 0 },
+                                height: { type: 'number', required: true, min: 0 },
+                                color: { type: 'string' },
+                                label: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        game_settings: {
+            type: 'object',
+            required: true,
+            fields: {
+                start_money: { type: 'number', required: true, min: 0 },
+                start_lives: { type: 'number', required: true, min: 1 },
+                // Wave generation after the last authored wave in endless mode
+                endless: {
+                    type: 'object',
+                    fields: {
+                        // Total enemy threat of the first generated wave
+                        budget_start: { type: 'number', required: true, min: 1 },
+                        // Budget growth per wave, compounded
+                        budget_growth_pct: { type: 'number', required: true, min: 0 },
+                        // Every Nth generated wave leads with a boss; 0 for none
+                        boss_every: { type: 'number', min: 0 },
+                        max_groups: { type: 'number', min: 1 },
+                        max_group_size: { type: 'number', min: 1 },
+                        interval_ms: { type: 'number', min: 0 }
+                    }
+                },
+                // Optional economy rules, see economy.js. Each applies only in games whose rules
+                // turn on its economy_<key> modifier, as the farm_economy preset does for all of them.
+                economy: {
+                    type: 'object',
+                    fields: {
+                        // Paid after every wave, scaled by the share of starting lives kept
+                        wave_bonus: {
+                            type: 'object',
+                            fields: {
+                                amount: { type: 'number', required: true, min: 0 }
+                            }
+                        },
+                        // Paid after every wave on the money banked
+                        interest: {
+                            type: 'object',
+                            fields: {
+                                rate_pct: { type: 'number', required: true, min: 0 },
+                                max: { type: 'number', min: 0 }
+                            }
+                        },
+                        // One loan at a time, taken from the debt when due_waves have ended
+                        loan: {
+                            type: 'object',
+                            fields: {
+                                amount: { type: 'number', required: true, min: 1 },
+                                interest_pct: { type: 'number', required: true, min: 0 },
+                                due_waves: { type: 'number', required: true, min: 1 }
+                            }
+                        },
+                        // Eco income bonus for each crop tower nearby
+                        crop_bonus: {
+                            type: 'object',
+                            fields: {
+                                crop_towers: { type: 'array', required: true, items: { type: 'string' } },
+                                radius: { type: 'number', required: true, min: 0 },
+                                pct_per_crop: { type: 'number', required: true, min: 0 },
+                                max_pct: { type: 'number', min: 0 }
+                            }
+                        }
+                    }
+                },
+                infection_mechanic: {
+                    type: 'object',
+                    fields: {
+                        every_s: { type: 'number', required: true, min: 0.1 },
+                        effect: {
+                            type: 'object',
+                            required: true,
+                            fields: {
+                                firerate_pct: { type: 'number', required: true },
+                                range_pct: { type: 'number', required: true }
+                            }
+                        },
+                        cure_clicks_required: { type: 'number', required: true, min: 1 },
+                        // Untreated infections jump to healthy towers within radius every after_s.
+                        // Only in games whose rules turn on infection_spread, as the hard preset does.
+                        spread: {
+                            type: 'object',
+                            fields: {
+                                after_s: { type: 'number', required: true, min: 0.1 },
+                                radius: { type: 'number', required: true, min: 0 },
+                                // Tower ids that never catch a spreading infection,
+                                // nor let it reach towers within their range
+                                quarantine_towers: { type: 'array', items: { type: 'string' } }
+                            }
+                        },
+                        // Untreated infections disable the tower after this long.
+                        // Only in games whose rules turn on infection_escalation, as the hard preset does.
+                        escalation: {
+                            type: 'object',
+                            fields: {
+                                disable_after_s: { type: 'number', required: true, min: 0 }
+                            }
+                        },
+                        // Options in the treatment menu of a tower
+                        treatments: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                fields: {
+                                    id: { type: 'string', required: true },
+                                    name: { type: 'string', required: true },
+                                    description: { type: 'string' },
+                                    cost: { type: 'number', min: 0 },
+                                    // 0 or missing cures instantly
+                                    cure_time_s: { type: 'number', min: 0 },
+                                    // Added to gameStats.environmentImpact each use
+                                    environment_penalty: { type: 'number', min: 0 },
+                                    // Protects the tower from every later infection; usable on healthy towers
+                                    vaccinate: { type: 'boolean' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        towers: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                fields: {
+                    id: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    type: { type: 'string', required: true },
+                    cost_place: { type: 'number', required: true, min: 0 },
+                    damage_type: { type: 'string', values: DamageTypes },
+                    // Whether it can target flying enemies
+                    can_hit_air: { type: 'boolean' },
+                    base: { type: 'object', required: true, fields: TOWER_STAT_FIELDS },
+                    // Levels every tower goes through
+                    upgrades: { ...UPGRADES_FIELD, required: true },
+                    // Branches after the last shared upgrade; choosing one locks the others
+                    paths: {
+                        type: 'array',
+                        minItems: 2,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                id: { type: 'string', required: true },
+                                name: { type: 'string', required: true },
+                                description: { type: 'string' },
+                                upgrades: { ...UPGRADES_FIELD, required: true, minItems: 1 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        enemies: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                fields: {
+                    id: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    hp: { type: 'number', required: true, min: 1 },
+                    speed: { type: 'number', required: true, min: 0 },
+                    reward: { type: 'number', required: true, min: 0 },
+                    color: { type: 'string', required: true },
+                    radius: { type: 'number', min: 1 },
+                    // Only towers with camo detection can target it
+                    camo: { type: 'boolean' },
+                    // Bosses shrug off abilities marked no_effect_on_boss
+                    boss: { type: 'boolean' },
+                    // Cost against the endless mode wave budget, defaults to reward
+                    threat: { type: 'number', min: 1 },
+                    // Status effects that never take hold
+                    immunities: {
+                        type: 'array',
+                        items: { type: 'string', values: Object.keys(StatusEffects) }
+                    },
+                    // "air" flies straight from entrance to exit, ignoring the path
+                    movement: { type: 'string', values: ['ground', 'air'] },
+                    // Flat reduction of every hit, after resistance
+                    armor: { type: 'number', min: 0 },
+                    // Fraction of each damage type ignored; negative values are weaknesses
+                    resistances: {
+                        type: 'object',
+                        fields: Object.fromEntries(DamageTypes.map(type => [type, { type: 'number', min: -1, max: 1 }]))
+                    },
+                    abilities: {
+                        type: 'object',
+                        fields: {
+                            spawn_on_death: {
+                                type: 'object',
+                                fields: {
+                                    enemy_id: { type: 'string', required: true },
+                                    count: { type: 'number', required: true, min: 1 }
+                                }
+                            },
+                            // Without a radius only the enemy itself is healed
+                            heal: {
+                                type: 'object',
+                                fields: {
+                                    amount: { type: 'number', required: true, min: 0 },
+                                    interval_s: { type: 'number', required: true, min: 0.1 },
+                                    radius: { type: 'number', min: 0 }
+                                }
+                            },
+                            shield: {
+                                type: 'object',
+                                fields: {
+                                    amount: { type: 'number', required: true, min: 0 },
+                                    duration_s: { type: 'number', required: true, min: 0 },
+                                    interval_s: { type: 'number', required: true, min: 0.1 }
+                                }
+                            },
+                            speed_burst: {
+                                type: 'object',
+                                fields: {
+                                    speed_pct: { type: 'number', required: true, min: 0 },
+                                    duration_s: { type: 'number', required: true, min: 0 },
+                                    cooldown_s: { type: 'number', required: true, min: 0 }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        waves: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                fields: {
+                    wave: { type: 'number', required: true, min: 1 },
+                    composition: {
+                        type: 'array',
+                        required: true,
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                enemy_id: { type: 'string', required: true },
+                                count: { type: 'number', required: true, min: 1 },
+                                interval_ms: { type: 'number', required: true, min: 0 },
+                                // Lane id, or "random" (the default) for a random lane per enemy
+                                lane: { type: 'string' }
+                            }
+                        }
+                    },
+                    // Weather id for this wave, instead of the cycle's
+                    weather: { type: 'string' }
+                }
+            }
+        },
+        // Presets on the main menu; each one overrides some of the rule defaults (see difficulty.js)
+        difficulties: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    id: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    description: { type: 'string' },
+                    modifiers: {
+                        type: 'object',
+                        required: true,
+                        // Keyed by rule modifier, with its bounds (see difficulty.js)
+                        fields: Object.fromEntries(Object.entries(RuleModifiers).map(([key, modifier]) => [
+                            key,
+                            modifier.type === 'boolean' ?
+                                { type: 'boolean' } :
+                                { type: 'number', min: modifier.min, max: modifier.max }
+                        ]))
+                    }
+                }
+            }
+        },
+        weather: {
+            type: 'object',
+            fields: {
+                types: {
+                    type: 'array',
+                    required: true,
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'string', required: true },
+                            name: { type: 'string', required: true },
+                            icon: { type: 'string', required: true },
+                            description: { type: 'string' },
+                            overlay: { type: 'string', values: WeatherOverlays },
+                            // Percentage changes; negative values reduce
+                            enemy_speed_pct: { type: 'number', min: -100 },
+                            spawn_count_pct: { type: 'number', min: -100 },
+                            eco_income_pct: { type: 'number', min: -100 },
+                            infection_interval_pct: { type: 'number', min: -90 },
+                            // Damage change keyed by tower id
+                            tower_damage_pct: { type: 'object' }
+                        }
+                    }
+                },
+                // Weather ids repeated wave after wave, starting at wave 1
+                cycle: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+/**
+ * Raised when data.json fails validation; `errors` lists every problem
+ */
+export class GameDataError extends Error {
+    constructor(errors) {
+        super(`Invalid game data (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+            errors.map(error => `  ${error.path}: ${error.message}`).join('\n'));
+        this.name = 'GameDataError';
+        this.errors = errors;
+    }
+}
+
 /**
  * Validation utilities
  */
 export class ValidationUtils {
     /**
-     * Validate game data structure
+     * Validate game data against GameDataSchema and cross-references
+     * @throws {GameDataError} Listing every problem found
      */
     static validateGameData(data) {
-        const required = ['towers', 'enemies', 'waves', 'game_settings'];
-        const missing = required.filter(key => !data[key]);
+        const errors = this.collectGameDataErrors(data);
         
-        if (missing.length > 0) {
-            throw new Error(`Missing required game data: ${missing.join(', ')}`);
+        if (errors.length > 0) {
+            throw new GameDataError(errors);
         }
         
-        // Validate towers
-        if (!Array.isArray(data.towers) || data.towers.length === 0) {
-            throw new Error('Invalid towers data');
+        return true;
+    }
+    
+    /**
+     * Check game data and return every problem as { path, message }
+     */
+    static collectGameDataErrors(data) {
+        const errors = [];
+        this.checkValue(data, GameDataSchema, '$', errors);
+        this.checkReferences(data || {}, errors);
+        
+        return errors;
+    }
+    
+    /**
+     * Check one value against a field spec, recursing into objects and arrays
+     */
+    static checkValue(value, spec, path, errors) {
+        if (value === null) {
+            if (!spec.nullable) {
+                errors.push({ path, message: `must be a ${spec.type}, got null` });
+            }
+            return;
         }
         
-        // Validate enemies
-        if (!Array.isArray(data.enemies) || data.enemies.length === 0) {
-            throw new Error('Invalid enemies data');
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+            errors.push({ path, message: `must be a ${spec.type}, got ${JSON.stringify(value)}` });
+            return;
         }
         
-        // Validate waves
-        if (!Array.isArray(data.waves) || data.waves.length === 0) {
-            throw new Error('Invalid waves data');
+        if (spec.values && !spec.values.includes(value)) {
+            errors.push({ path, message: `must be one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}` });
         }
         
-        return true;
+        if (spec.type === 'number') {
+            if (spec.min !== undefined && value < spec.min) {
+                errors.push({ path, message: `must be at least ${spec.min}, got ${value}` });
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                errors.push({ path, message: `must be at most ${spec.max}, got ${value}` });
+            }
+        }
+        
+        if (spec.type === 'array') {
+            if (spec.minItems !== undefined && value.length < spec.minItems) {
+                errors.push({ path, message: `must have at least ${spec.minItems} item(s)` });
+            }
+            if (spec.items) {
+                value.forEach((item, i) => this.checkValue(item, spec.items, `${path}[${i}]`, errors));
+            }
+        }
+        
+        if (spec.type === 'object' && spec.fields) {
+            const known = Object.keys(spec.fields);
+            
+            for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+                if (value[key] === undefined) {
+                    if (fieldSpec.required) {
+                        errors.push({ path: `${path}.${key}`, message: 'is required but missing' });
+                    }
+                } else {
+                    this.checkValue(value[key], fieldSpec, `${path}.${key}`, errors);
+                }
+            }
+            
+            for (const key of Object.keys(value)) {
+                if (!known.includes(key)) {
+                    const suggestion = this.closestKey(key, known);
+                    errors.push({
+                        path: `${path}.${key}`,
+                        message: suggestion ? `unknown key (did you mean "${suggestion}"?)` : 'unknown key'
+                    });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Checks that span several parts of the data. Entries with the wrong
+     * shape are skipped here; checkValue() has already reported them.
+     */
+    static checkReferences(data, errors) {
+        const entries = (items, path) => (Array.isArray(items) ? items : [])
+            .map((item, i) => ({ item, path: `${path}[${i}]` }))
+            .filter(({ item }) => item && typeof item === 'object');
+        
+        const maps = entries(data.maps, '$.maps');
+        const towers = entries(data.towers, '$.towers');
+        const enemies = entries(data.enemies, '$.enemies');
+        const waves = entries(data.waves, '$.waves');
+        
+        const checkUniqueIds = list => {
+            const seen = new Set();
+            list.forEach(({ item, path }) => {
+                if (seen.has(item.id)) {
+                    errors.push({ path: `${path}.id`, message: `duplicate id "${item.id}"` });
+                }
+                seen.add(item.id);
+            });
+        };
+        checkUniqueIds(maps);
+        checkUniqueIds(towers);
+        checkUniqueIds(enemies);
+        
+        const laneIds = new Set();
+        maps.forEach(({ item: map, path }) => {
+            if ((map.waypoints === undefined) === (map.lanes === undefined)) {
+                errors.push({ path, message: 'needs either "waypoints" or "lanes", but not both' });
+                return;
+            }
+            
+            const lanes = entries(map.lanes, `${path}.lanes`);
+            checkUniqueIds(lanes);
+            lanes.forEach(({ item }) => laneIds.add(item.id));
+            
+            // Every lane ends at the same exit
+            const exits = lanes
+                .filter(({ item }) => Array.isArray(item.waypoints) && item.waypoints.length > 0)
+                .map(({ item, path: lanePath }) => ({ point: item.waypoints[item.waypoints.length - 1], path: lanePath }));
+            exits.slice(1).forEach(exit => {
+                if (exit.point?.x !== exits[0].point?.x || exit.point?.y !== exits[0].point?.y) {
+                    errors.push({ path: `${exit.path}.waypoints`, message: `must end at the same exit as ${exits[0].path}` });
+                }
+            });
+        });
+        
+        towers.forEach(({ item: tower, path }) => {
+            if (!TowerTypes.includes(tower.type)) {
+                errors.push({
+                    path: `${path}.type`,
+                    message: `"${tower.type}" is not handled by any tower behaviour (expected one of ${TowerTypes.join(', ')})`
+                });
+                return;
+            }
+            
+            // Each level replaces the previous stats, so every level needs the full set
+            const requiredStats = REQUIRED_TOWER_STATS[tower.type];
+            const upgradePaths = entries(tower.paths, `${path}.paths`);
+            checkUniqueIds(upgradePaths);
+            const upgrades = entries(tower.upgrades, `${path}.upgrades`)
+                .concat(...upgradePaths.map(({ item, path: branchPath }) => entries(item.upgrades, `${branchPath}.upgrades`)));
+            const levels = [{ stats: tower.base, path: `${path}.base` }]
+                .concat(upgrades.map(({ item, path: upgradePath }) => ({
+                    stats: item,
+                    path: upgradePath
+                })))
+                .filter(level => level.stats && typeof level.stats === 'object');
+            
+            levels.forEach(level => {
+                const missing = requiredStats.filter(stat => level.stats[stat] === undefined);
+                if (missing.length > 0) {
+                    errors.push({ path: level.path, message: `missing stats for a ${tower.type} tower: ${missing.join(', ')}` });
+                }
+                
+                const active = level.stats.active;
+                const ability = active && ActiveAbilities[active.type];
+                const missingFields = ability ? ability.requires.filter(field => active[field] === undefined) : [];
+                if (missingFields.length > 0) {
+                    errors.push({ path: `${level.path}.active`, message: `missing fields for a ${active.type} ability: ${missingFields.join(', ')}` });
+                }
+            });
+        });
+        
+        checkUniqueIds(entries(data.game_settings?.infection_mechanic?.treatments, '$.game_settings.infection_mechanic.treatments'));
+        
+        checkUniqueIds(entries(data.difficulties, '$.difficulties'));
+        
+        const towerIds = new Set(towers.map(({ item }) => item.id));
+        const checkTowerIds = (ids, path) => {
+            (Array.isArray(ids) ? ids : []).forEach((id, i) => {
+                if (!towerIds.has(id)) {
+                    errors.push({ path: `${path}[${i}]`, message: `unknown tower "${id}"` });
+                }
+            });
+        };
+        checkTowerIds(data.game_settings?.infection_mechanic?.spread?.quarantine_towers,
+            '$.game_settings.infection_mechanic.spread.quarantine_towers');
+        checkTowerIds(data.game_settings?.economy?.crop_bonus?.crop_towers,
+            '$.game_settings.economy.crop_bonus.crop_towers');
+        
+        const weatherTypes = entries(data.weather?.types, '$.weather.types');
+        checkUniqueIds(weatherTypes);
+        const weatherIds = new Set(weatherTypes.map(({ item }) => item.id));
+        const checkWeatherId = (id, path) => {
+            if (!weatherIds.has(id)) {
+                errors.push({ path, message: `unknown weather "${id}"` });
+            }
+        };
+        (Array.isArray(data.weather?.cycle) ? data.weather.cycle : [])
+            .forEach((id, i) => checkWeatherId(id, `$.weather.cycle[${i}]`));
+        waves.forEach(({ item: wave, path }) => {
+            if (wave.weather !== undefined) checkWeatherId(wave.weather, `${path}.weather`);
+        });
+        weatherTypes.forEach(({ item: type, path }) => {
+            Object.entries(type.tower_damage_pct || {}).forEach(([towerId, pct]) => {
+                const towerPath = `${path}.tower_damage_pct.${towerId}`;
+                if (!towerIds.has(towerId)) {
+                    errors.push({ path: towerPath, message: `unknown tower "${towerId}"` });
+                } else if (typeof pct !== 'number' || pct < -100) {
+                    errors.push({ path: towerPath, message: 'must be a number of at least -100' });
+                }
+            });
+        });
+        
+        const enemyIds = new Set(enemies.map(({ item }) => item.id));
+        enemies.forEach(({ item: enemy, path }) => {
+            const spawn = enemy.abilities?.spawn_on_death;
+            if (!spawn || typeof spawn !== 'object') return;
+            
+            const spawnPath = `${path}.abilities.spawn_on_death.enemy_id`;
+            const child = enemies.find(({ item }) => item.id === spawn.enemy_id)?.item;
+            if (spawn.enemy_id === enemy.id) {
+                errors.push({ path: spawnPath, message: 'an enemy cannot spawn itself on death' });
+            } else if (!child) {
+                errors.push({ path: spawnPath, message: `references unknown enemy "${spawn.enemy_id}"` });
+            } else if ((child.movement || 'ground') !== (enemy.movement || 'ground')) {
+                // Children continue along the parent's route
+                errors.push({ path: spawnPath, message: `"${spawn.enemy_id}" must move the same way as "${enemy.id}"` });
+            }
+        });
+        waves.forEach(({ item: wave, path }) => {
+            entries(wave.composition, `${path}.composition`).forEach(({ item: group, path: groupPath }) => {
+                if (!enemyIds.has(group.enemy_id)) {
+                    errors.push({
+                        path: `${groupPath}.enemy_id`,
+                        message: `references unknown enemy "${group.enemy_id}"`
+                    });
+                }
+                if (group.lane !== undefined && group.lane !== 'random' && !laneIds.has(group.lane)) {
+                    errors.push({
+                        path: `${groupPath}.lane`,
+                        message: `references unknown lane "${group.lane}"`
+                    });
+                }
+            });
+        });
+    }
+    
+    /**
+     * Closest known key within a small edit distance, for typo hints
+     */
+    static closestKey(key, candidates) {
+        let best = null;
+        let bestDistance = 3;
+        
+        for (const candidate of candidates) {
+            const distance = this.editDistance(key, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
     }
     
     /**
-     * Validate placement position
+     * Validate placement position on a map
      */
-    static validatePlacement(x, y, canvasWidth, canvasHeight) {
+    static validatePlacement(x, y, map) {
         // Check bounds
         if (x < GameConstants.TOWER_RADIUS || 
-            x > canvasWidth - GameConstants.TOWER_RADIUS ||
+            x > map.width - GameConstants.TOWER_RADIUS ||
             y < GameConstants.TOWER_RADIUS || 
-            y > canvasHeight - GameConstants.TOWER_RADIUS) {
+            y > map.height - GameConstants.TOWER_RADIUS) {
             return false;
         }
         
-        // Check path clearance
-        if (GeometryUtils.isPointNearPath({ x, y })) {
+        // Check path clearance and blocked zones
+        if (map.isPointNearPath({ x, y }) || map.isPointBlocked({ x, y })) {
             return false;
         }
         
@@ -0,0 +1,171 @@
+// difficulty.js - Difficulty presets and rule modifiers
+// A game's rules are the defaults, overridden by a preset from data.json, then by the player's own choices
+
+/**
+ * Every rule modifier with its neutral value and how to show it to players.
+ * Number modifiers keep to min..max in multiples of step where step is whole.
+ */
+export const RuleModifiers = {
+    start_money_multiplier: {
+        label: 'Tiền khởi đầu',
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 10,
+        step: 0.05,
+        describe: value => `Tiền khởi đầu ×${value}`
+    },
+    start_lives_multiplier: {
+        label: 'Mạng khởi đầu',
+        type: 'number',
+        default: 1,
+        min: 0.05,
+        max: 10,
+        step: 0.05,
+        describe: value => `Mạng khởi đầu ×${value}`
+    },
+    enemy_hp_multiplier: {
+        label: 'Máu sâu bệnh',
+        type: 'number',
+        default: 1,
+        min: 0.1,
+        max: 10,
+        step: 0.05,
+        describe: value => `Máu sâu bệnh ×${value}`
+    },
+    reward_multiplier: {
+        label: 'Tiền thưởng',
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 10,
+        step: 0.05,
+        describe: value => `Tiền thưởng ×${value}`
+    },
+    sell_refund_rate: {
+        label: 'Tỉ lệ hoàn tiền khi bán',
+        type: 'number',
+        default: 0.7,
+        min: 0,
+        max: 1,
+        step: 0.05,
+        describe: value => `Hoàn ${Math.round(value * 100)}% khi bán tháp`
+    },
+    infection_enabled: {
+        label: 'Sâu bệnh tấn công tháp',
+        type: 'boolean',
+        default: true,
+        describe: value => (value ? 'Có dịch bệnh' : 'Tắt dịch bệnh')
+    },
+    infection_interval_multiplier: {
+        label: 'Khoảng cách giữa các đợt dịch',
+        type: 'number',
+        default: 1,
+        min: 0.1,
+        max: 10,
+        step: 0.05,
+        describe: value => `Khoảng cách dịch bệnh ×${value}`
+    },
+    infection_spread: {
+        label: 'Dịch bệnh lây sang tháp bên cạnh',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Dịch bệnh lây lan' : 'Dịch bệnh không lây lan')
+    },
+    infection_escalation: {
+        label: 'Bệnh để lâu làm tê liệt tháp',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Bệnh để lâu làm tê liệt tháp' : 'Bệnh không trở nặng')
+    },
+    economy_wave_bonus: {
+        label: 'Thưởng cuối đợt theo số mạng còn lại',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Có thưởng cuối đợt' : 'Không thưởng cuối đợt')
+    },
+    economy_interest: {
+        label: 'Lãi tiết kiệm cuối đợt',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Có lãi tiết kiệm' : 'Không có lãi tiết kiệm')
+    },
+    economy_loan: {
+        label: 'Cho phép vay tiền',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Được vay tiền' : 'Không được vay tiền')
+    },
+    economy_crop_bonus: {
+        label: 'Cây trồng gần nhau tăng thu nhập',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Có thưởng cây trồng gần nhau' : 'Không thưởng cây trồng gần nhau')
+    },
+    no_eco: {
+        label: 'Thử thách không tháp kinh tế',
+        type: 'boolean',
+        default: false,
+        describe: value => (value ? 'Không được xây tháp kinh tế' : 'Được xây tháp kinh tế')
+    },
+    max_towers: {
+        label: 'Số tháp tối đa (0 = không giới hạn)',
+        type: 'number',
+        default: 0,
+        min: 0,
+        max: 100,
+        step: 1,
+        describe: value => (value > 0 ? `Tối đa ${value} tháp` : 'Không giới hạn số tháp')
+    }
+};
+
+/**
+ * A modifier value that is safe to play with: numbers clamped to the
+ * modifier's bounds, anything unusable replaced by the default
+ * @param {string} key - Key of RuleModifiers
+ */
+export function clampRule(key, value) {
+    const modifier = RuleModifiers[key];
+    if (modifier.type === 'boolean') {
+        return typeof value === 'boolean' ? value : modifier.default;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return modifier.default;
+
+    const stepped = Number.isInteger(modifier.step) ? Math.round(value / modifier.step) * modifier.step : value;
+    return Math.min(modifier.max, Math.max(modifier.min, stepped));
+}
+
+/**
+ * Preset used when none is chosen, or the chosen one no longer exists
+ */
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Rules for a game: defaults, then the preset's modifiers, then overrides,
+ * each clamped with clampRule(). Passing saved rules as overrides checks them again.
+ * @param {Object} gameData - Parsed data.json
+ * @param {string} [difficultyId] - Preset id from `difficulties`
+ * @param {Object} [overrides] - Player-chosen modifier values
+ * @returns {Object} Value of every key of RuleModifiers, plus `difficulty`
+ */
+export function resolveRules(gameData, difficultyId = DEFAULT_DIFFICULTY, overrides = {}) {
+    const presets = gameData.difficulties || [];
+    const preset = presets.find(p => p.id === difficultyId) ||
+        presets.find(p => p.id === DEFAULT_DIFFICULTY) ||
+        null;
+
+    const rules = { difficulty: preset ? preset.id : null };
+    Object.entries(RuleModifiers).forEach(([key, modifier]) => {
+        rules[key] = clampRule(key, overrides[key] ?? preset?.modifiers?.[key] ?? modifier.default);
+    });
+    return rules;
+}
+
+/**
+ * Modifiers that differ from the defaults, as text lines
+ */
+export function describeRules(rules) {
+    return Object.entries(RuleModifiers)
+        .filter(([key, modifier]) => rules[key] !== undefined && rules[key] !== modifier.default)
+        .map(([key, modifier]) => modifier.describe(rules[key]));
+}
@@ -0,0 +1,74 @@
+// economy.js - Optional economy rules
+// End-of-wave bonus, interest, loans and crop bonuses, each configured under `game_settings.economy`
+// and turned on by its `economy_<key>` rule modifier
+
+/**
+ * Where money comes from, in the order income breakdowns list them
+ */
+export const IncomeSources = {
+    eco: { label: 'Kinh tế', icon: '🌱' },
+    kills: { label: 'Diệt sâu bệnh', icon: '🐛' },
+    interest: { label: 'Lãi tiết kiệm', icon: '🏦' },
+    wave_bonus: { label: 'Thưởng cuối đợt', icon: '🎁' },
+    sales: { label: 'Bán tháp', icon: '🔄' },
+    other: { label: 'Khác', icon: '💰' }
+};
+
+/**
+ * Income by source, every source at zero
+ */
+export function emptyIncome() {
+    return Object.fromEntries(Object.keys(IncomeSources).map(source => [source, 0]));
+}
+
+/**
+ * End-of-wave bonus, scaled by the share of starting lives kept
+ * @param {Object} [settings] - `economy.wave_bonus`
+ */
+export function waveBonus(settings, lives, startLives) {
+    if (!settings || startLives <= 0) return 0;
+    return Math.round(settings.amount * Math.min(1, lives / startLives));
+}
+
+/**
+ * Interest paid on banked money at the end of a wave, up to the cap
+ * @param {Object} [settings] - `economy.interest`
+ */
+export function interestOn(settings, money) {
+    if (!settings || money <= 0) return 0;
+    const interest = Math.floor(money * settings.rate_pct / 100);
+    return settings.max !== undefined ? Math.min(settings.max, interest) : interest;
+}
+
+/**
+ * Amount to pay back for a loan taken now
+ * @param {Object} settings - `economy.loan`
+ */
+export function loanDebt(settings) {
+    return Math.round(settings.amount * (1 + settings.interest_pct / 100));
+}
+
+/**
+ * Crop towers within the bonus radius of a tower, not counting itself
+ * @param {Object} [settings] - `economy.crop_bonus`
+ * @param {{x: number, y: number}} position - Tower, or where one would be placed
+ * @param {Array<Tower>} towers
+ */
+export function countNearbyCrops(settings, position, towers) {
+    if (!settings) return 0;
+    return towers.filter(tower =>
+        tower !== position &&
+        settings.crop_towers.includes(tower.id) &&
+        Math.hypot(tower.x - position.x, tower.y - position.y) <= settings.radius
+    ).length;
+}
+
+/**
+ * Eco income factor for a number of nearby crops, capped at max_pct
+ * @param {Object} [settings] - `economy.crop_bonus`
+ */
+export function cropMultiplier(settings, crops) {
+    if (!settings) return 1;
+    const pct = crops * settings.pct_per_crop;
+    return 1 + (settings.max_pct !== undefined ? Math.min(settings.max_pct, pct) : pct) / 100;
+}
@@ -0,0 +1,69 @@
+// effects.js - Status effect registry
+// Every effect a tower or enemy ability can apply, with its stacking rule and behaviour
+
+/**
+ * How a reapplied effect combines with the one already on the enemy:
+ * - refresh: reset the duration, keep the stronger value
+ * - stack: add a stack (up to maxStacks) and reset the duration
+ * - max: keep the stronger value and the longer duration
+ */
+export const StackingRules = ['refresh', 'stack', 'max'];
+
+/**
+ * Seconds between damage ticks of damage-over-time effects
+ */
+export const EFFECT_TICK_INTERVAL = 0.5;
+
+/**
+ * Registered status effects. What `value` means is up to each effect:
+ * - speedMultiplier(value): movement factor while active
+ * - tickDamage: value is damage per second per stack, of damageType
+ * - damageTakenMultiplier(value): factor on every hit taken
+ */
+export const StatusEffects = {
+    slow: {
+        label: 'Làm chậm',
+        icon: '🐌',
+        stacking: 'max',
+        speedMultiplier: value => 1 - Math.min(value, 100) / 100,
+        describe: (value, duration) => `Làm chậm ${value}% trong ${duration}s`
+    },
+    stun: {
+        label: 'Choáng',
+        icon: '💫',
+        stacking: 'refresh',
+        speedMultiplier: () => 0,
+        describe: (value, duration) => `Làm choáng ${duration}s`
+    },
+    poison: {
+        label: 'Độc',
+        icon: '☠️',
+        stacking: 'stack',
+        maxStacks: 5,
+        tickDamage: true,
+        damageType: 'chemical',
+        describe: (value, duration) => `Gây độc ${value}/s trong ${duration}s (cộng dồn tối đa 5 lần)`
+    },
+    burn: {
+        label: 'Bỏng',
+        icon: '🔥',
+        stacking: 'refresh',
+        tickDamage: true,
+        damageType: null,
+        describe: (value, duration) => `Gây bỏng ${value}/s trong ${duration}s`
+    },
+    vulnerability: {
+        label: 'Suy yếu',
+        icon: '🎯',
+        stacking: 'max',
+        damageTakenMultiplier: value => 1 + value / 100,
+        describe: (value, duration) => `Tăng ${value}% sát thương nhận vào trong ${duration}s`
+    },
+    speed_burst: {
+        label: 'Tăng tốc',
+        icon: '💨',
+        stacking: 'refresh',
+        speedMultiplier: value => 1 + value / 100,
+        describe: (value, duration) => `Tăng ${value}% tốc độ trong ${duration}s`
+    }
+};
@@ -1,8 +1,12 @@
 // entities.js - Complete rewrite with proper entity architecture
 // Clean separation of concerns for all game entities
 
-import { path, PathManager, GameConstants } from './config.js';
-import { showNotification } from './ui.js';
+import { GameConstants } from './config.js';
+import { StatusEffects, EFFECT_TICK_INTERVAL } from './effects.js';
+import { weatherMultiplier } from './weather.js';
+import { ActiveAbilities } from './abilities.js';
+import { countNearbyCrops, cropMultiplier } from './economy.js';
+import { BuffTypes, combineBuffs } from './buffs.js';
 
 /**
  * Base class for all game entities
@@ -23,12 +27,60 @@ class Entity {
     }
 }
 
+/**
+ * Damage a hit really deals to an enemy: resistance for the damage type
+ * first, then flat armor, which can't block more than MIN_DAMAGE_RATIO
+ * of the hit. Works on data.json enemy entries so the UI can preview it.
+ */
+export function calculateDamage(amount, damageType, enemyData) {
+    const resistance = enemyData.resistances?.[damageType] || 0;
+    const resisted = amount * (1 - resistance);
+    if (resisted <= 0) return 0;
+
+    const armor = enemyData.armor || 0;
+    return Math.max(resisted - armor, resisted * GameConstants.MIN_DAMAGE_RATIO);
+}
+
+/**
+ * Enemy abilities from the data.json `abilities` block: icon drawn over
+ * the enemy and a description for the encyclopedia and wave preview
+ */
+export const EnemyAbilities = {
+    spawn_on_death: {
+        icon: '🧬',
+        describe: (ability, gameData) => {
+            const child = gameData.enemies.find(e => e.id === ability.enemy_id);
+            return `Khi chết tách thành ${ability.count} ${child ? child.name : ability.enemy_id}`;
+        }
+    },
+    heal: {
+        icon: '💚',
+        describe: ability => (ability.radius ?
+            `Hồi ${ability.amount} máu cho đồng loại trong bán kính ${ability.radius} mỗi ${ability.interval_s}s` :
+            `Tự hồi ${ability.amount} máu mỗi ${ability.interval_s}s`)
+    },
+    shield: {
+        icon: '🛡️',
+        describe: ability =>
+            `Khiên chặn ${ability.amount} sát thương trong ${ability.duration_s}s, mỗi ${ability.interval_s}s`
+    },
+    speed_burst: {
+        icon: '💨',
+        describe: ability =>
+            `Khi trúng đòn tăng ${ability.speed_pct}% tốc độ trong ${ability.duration_s}s (hồi chiêu ${ability.cooldown_s}s)`
+    }
+};
+
 /**
  * Enemy entity with improved pathfinding and status effects
  */
 export class Enemy extends Entity {
-    constructor(enemyData) {
-        super(path[0].x, path[0].y);
+    /**
+     * @param {Object} enemyData - Entry from data.json `enemies`
+     * @param {Lane} lane - Map route to follow, from entrance to exit (see GameMap.getRoute)
+     */
+    constructor(enemyData, lane) {
+        super(lane.path[0].x, lane.path[0].y);
         
         // Core properties
         this.id = enemyData.id;
@@ -37,33 +89,58 @@ export class Enemy extends Entity {
         this.hp = enemyData.hp;
         this.baseSpeed = enemyData.speed;
         this.speed = enemyData.speed;
+        // Set by the weather and difficulty rules when the enemy spawns
+        this.speedModifier = 1;
+        this.hpMultiplier = 1;
         this.reward = enemyData.reward;
         this.color = enemyData.color;
+        this.camo = enemyData.camo || false;
+        this.flying = enemyData.movement === 'air';
+        this.isBoss = enemyData.boss || false;
+        this.enemyData = enemyData;
         
         // Pathfinding
+        this.lane = lane;
         this.pathIndex = 0;
         this.distanceAlongSegment = 0;
         this.reachedEnd = false;
         
         // Status effects
         this.statusEffects = new Map();
+        this.immunities = enemyData.immunities || [];
+        
+        // Tower credited with the kill
+        this.lastHitBy = null;
+        
+        // Abilities
+        this.abilities = enemyData.abilities || {};
+        this.healTimer = 0;
+        this.shieldTimer = 0;
+        this.shield = 0;
+        this.shieldRemaining = 0;
+        this.burstCooldown = 0;
+        this.healFlash = 0;
         
         // Visual properties
-        this.radius = this.id === 'pest_boss' ? 15 : 10;
-        this.healthBarWidth = this.id === 'pest_boss' ? 30 : 20;
+        this.radius = enemyData.radius || 10;
+        this.healthBarWidth = this.radius * 2;
     }
 
-    update(deltaTime) {
+    update(deltaTime, gameState) {
         if (this.reachedEnd || !this.isAlive()) return;
         
         // Update status effects
-        this.updateStatusEffects(deltaTime);
+        this.updateStatusEffects(deltaTime, gameState);
+        
+        // Heal and shield on their timers
+        this.updateAbilities(deltaTime, gameState);
         
         // Move along path
         this.moveAlongPath(deltaTime);
     }
 
     moveAlongPath(deltaTime) {
+        const path = this.lane.path;
         if (this.pathIndex >= path.length - 1) {
             this.reachedEnd = true;
             return;
@@ -97,8 +174,31 @@ export class Enemy extends Entity {
         }
     }
 
-    updateStatusEffects(deltaTime) {
+    /**
+     * Path distance still to walk to the exit. Lanes share the exit, so
+     * this compares enemies fairly across lanes.
+     */
+    getDistanceRemaining() {
+        if (this.reachedEnd) return 0;
+        const travelled = this.lane.distances[this.pathIndex] + this.distanceAlongSegment;
+        return Math.max(0, this.lane.length - travelled);
+    }
+
+    updateStatusEffects(deltaTime, gameState) {
         for (const [effectType, effect] of this.statusEffects.entries()) {
+            const definition = StatusEffects[effectType];
+            
+            // Damage over time, credited to the tower that applied it
+            if (definition.tickDamage) {
+                effect.tickTimer += deltaTime;
+                while (effect.tickTimer >= EFFECT_TICK_INTERVAL && this.isAlive()) {
+                    effect.tickTimer -= EFFECT_TICK_INTERVAL;
+                    const amount = effect.value * effect.stacks * EFFECT_TICK_INTERVAL;
+                    const dealt = this.takeDamage(amount, definition.damageType);
+                    effect.source?.recordDamage(this, dealt, gameState);
+                }
+            }
+            
             effect.duration -= deltaTime;
             
             if (effect.duration <= 0) {
@@ -107,22 +207,106 @@ export class Enemy extends Entity {
         }
     }
 
-    applyStatusEffect(type, value, duration) {
-        // Boss immunity to weak slows
-        if (this.id === 'pest_boss' && type === 'slow' && value < 0.35) {
-            return;
+    updateAbilities(deltaTime, gameState) {
+        const { heal, shield } = this.abilities;
+        
+        if (heal) {
+            this.healTimer += deltaTime;
+            if (this.healTimer >= heal.interval_s) {
+                this.healTimer -= heal.interval_s;
+                const targets = heal.radius ?
+                    gameState.enemies.filter(enemy => enemy.isAlive() && this.isInRange(enemy, heal.radius)) :
+                    [this];
+                targets.forEach(enemy => enemy.heal(heal.amount));
+            }
+        }
+        
+        if (shield) {
+            if (this.shieldRemaining > 0) {
+                this.shieldRemaining -= deltaTime;
+                if (this.shieldRemaining <= 0) this.shield = 0;
+            }
+            
+            this.shieldTimer += deltaTime;
+            if (this.shieldTimer >= shield.interval_s) {
+                this.shieldTimer -= shield.interval_s;
+                this.shield = shield.amount;
+                this.shieldRemaining = shield.duration_s;
+            }
+        }
+        
+        this.burstCooldown = Math.max(0, this.burstCooldown - deltaTime);
+        this.healFlash = Math.max(0, this.healFlash - deltaTime);
+    }
+
+    heal(amount) {
+        if (this.hp >= this.maxHp) return;
+        this.hp = Math.min(this.maxHp, this.hp + amount);
+        this.healFlash = 0.3;
+    }
+
+    /**
+     * Enemies to spawn in this one's place when it dies
+     */
+    createChildren(gameData) {
+        const ability = this.abilities.spawn_on_death;
+        if (!ability) return [];
+        
+        const childData = gameData.enemies.find(e => e.id === ability.enemy_id);
+        if (!childData) return [];
+        
+        // Children start where the parent fell, spaced out slightly behind it
+        return Array.from({ length: ability.count }, (_, i) => {
+            const child = new Enemy(childData, this.lane);
+            child.pathIndex = this.pathIndex;
+            child.distanceAlongSegment = Math.max(0, this.distanceAlongSegment - i * 8);
+            child.x = this.x;
+            child.y = this.y;
+            child.setSpeedModifier(this.speedModifier);
+            child.setHpMultiplier(this.hpMultiplier);
+            return child;
+        });
+    }
+
+    /**
+     * Apply a registered status effect, following its stacking rule
+     * @param {string} type - Key of StatusEffects
+     * @param {number} value - Strength, as the effect defines it
+     * @param {number} duration - Seconds
+     * @param {Tower} [source] - Tower credited with tick damage
+     * @returns {boolean} Whether the effect took hold
+     */
+    applyStatusEffect(type, value, duration, source = null) {
+        const definition = StatusEffects[type];
+        if (!definition || this.immunities.includes(type)) {
+            return false;
         }
 
         const existingEffect = this.statusEffects.get(type);
         
-        // Only apply if stronger or longer lasting
-        if (!existingEffect || 
-            existingEffect.value < value || 
-            existingEffect.duration < duration) {
-            
-            this.statusEffects.set(type, { value, duration });
-            this.recalculateSpeed();
+        if (!existingEffect) {
+            this.statusEffects.set(type, { value, duration, stacks: 1, tickTimer: 0, source });
+        } else {
+            switch (definition.stacking) {
+                case 'stack':
+                    existingEffect.stacks = Math.min(existingEffect.stacks + 1, definition.maxStacks || Infinity);
+                    existingEffect.value = Math.max(existingEffect.value, value);
+                    existingEffect.duration = duration;
+                    break;
+                case 'refresh':
+                    existingEffect.value = Math.max(existingEffect.value, value);
+                    existingEffect.duration = duration;
+                    break;
+                case 'max':
+                default:
+                    existingEffect.value = Math.max(existingEffect.value, value);
+                    existingEffect.duration = Math.max(existingEffect.duration, duration);
+            }
+            existingEffect.source = source ?? existingEffect.source;
         }
+        
+        this.recalculateSpeed();
+        return true;
     }
 
     removeStatusEffect(type) {
@@ -130,20 +314,66 @@ export class Enemy extends Entity {
         this.recalculateSpeed();
     }
 
+    /**
+     * Scale max HP, for difficulty rules. Starts the enemy at full health.
+     */
+    setHpMultiplier(multiplier) {
+        this.hpMultiplier = multiplier;
+        this.maxHp = this.enemyData.hp * multiplier;
+        this.hp = this.maxHp;
+    }
+
+    setSpeedModifier(multiplier) {
+        this.speedModifier = multiplier;
+        this.recalculateSpeed();
+    }
+
     recalculateSpeed() {
-        let speedMultiplier = 1;
+        let speedMultiplier = this.speedModifier;
         
-        const slowEffect = this.statusEffects.get('slow');
-        if (slowEffect) {
-            speedMultiplier *= (1 - slowEffect.value);
+        for (const [effectType, effect] of this.statusEffects.entries()) {
+            const { speedMultiplier: multiplier } = StatusEffects[effectType];
+            if (multiplier) {
+                speedMultiplier *= multiplier(effect.value);
+            }
         }
         
         this.speed = this.baseSpeed * speedMultiplier;
     }
 
-    takeDamage(amount, source = null) {
-        this.hp = Math.max(0, this.hp - amount);
-        return !this.isAlive();
+    /**
+     * @param {number} amount - Raw damage of the hit
+     * @param {string} [damageType] - One of DamageTypes
+     * @returns {number} Damage dealt after resistance and armor, capped at the HP left
+     */
+    takeDamage(amount, damageType = null) {
+        let dealt = calculateDamage(amount, damageType, this.enemyData);
+        
+        for (const [effectType, effect] of this.statusEffects.entries()) {
+            const { damageTakenMultiplier: multiplier } = StatusEffects[effectType];
+            if (multiplier) {
+                dealt *= multiplier(effect.value);
+            }
+        }
+        
+        // An active shield soaks damage first
+        if (this.shield > 0) {
+            const absorbed = Math.min(this.shield, dealt);
+            this.shield -= absorbed;
+            dealt -= absorbed;
+        }
+        
+        // Overkill is not counted as damage dealt
+        dealt = Math.min(dealt, this.hp);
+        this.hp -= dealt;
+        
+        const burst = this.abilities.speed_burst;
+        if (burst && dealt > 0 && this.burstCooldown <= 0 && this.isAlive()) {
+            this.applyStatusEffect('speed_burst', burst.speed_pct, burst.duration_s);
+            this.burstCooldown = burst.cooldown_s;
+        }
+        
+        return dealt;
     }
 
     isAlive() {
@@ -153,6 +383,13 @@ export class Enemy extends Entity {
     draw(ctx) {
         // Draw body
         ctx.save();
+        if (this.flying) {
+            this.drawShadow(ctx);
+        }
+        if (this.camo) {
+            // Camo pests are only half visible
+            ctx.globalAlpha = 0.45;
+        }
         ctx.fillStyle = this.color;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
@@ -163,9 +400,15 @@ export class Enemy extends Entity {
         ctx.lineWidth = 1;
         ctx.stroke();
         
+        // Draw active shield and heal glow
+        this.drawAbilityEffects(ctx);
+        
         // Draw health bar
         this.drawHealthBar(ctx);
         
+        // Draw ability icons above the health bar
+        this.drawAbilityIcons(ctx);
+        
         // Draw status effect indicators
         this.drawStatusEffects(ctx);
         
@@ -199,28 +442,101 @@ export class Enemy extends Entity {
         );
     }
 
+    drawShadow(ctx) {
+        // Flying enemies hover above their shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.beginPath();
+        ctx.ellipse(this.x + 4, this.y + this.radius + 4, this.radius, this.radius / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawAbilityEffects(ctx) {
+        if (this.shield > 0) {
+            ctx.strokeStyle = 'rgba(0, 229, 255, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        if (this.healFlash > 0) {
+            ctx.strokeStyle = `rgba(76, 175, 80, ${this.healFlash / 0.3})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    drawAbilityIcons(ctx) {
+        const icons = Object.keys(this.abilities)
+            .map(key => EnemyAbilities[key]?.icon)
+            .filter(Boolean);
+        if (icons.length === 0) return;
+        
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(icons.join(''), this.x, this.y - this.radius - 11);
+    }
+
     drawStatusEffects(ctx) {
         if (this.statusEffects.size === 0) return;
         
         let iconOffset = 0;
         
-        // Draw slow effect indicator
-        if (this.statusEffects.has('slow')) {
-            ctx.fillStyle = '#4FC3F7';
-            ctx.beginPath();
-            ctx.arc(
-                this.x + this.radius + 5 + iconOffset,
-                this.y - this.radius,
-                3,
-                0,
-                Math.PI * 2
-            );
-            ctx.fill();
+        // One icon per active effect, stacked down the enemy's right side
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const [effectType, effect] of this.statusEffects.entries()) {
+            const label = effect.stacks > 1 ?
+                `${StatusEffects[effectType].icon}${effect.stacks}` :
+                StatusEffects[effectType].icon;
+            ctx.fillText(label, this.x + this.radius + 2, this.y - this.radius + iconOffset);
             iconOffset += 10;
         }
     }
 }
 
+/**
+ * Tower targeting priorities, each comparing two candidate targets (lower wins)
+ */
+export const TargetingModes = {
+    first: {
+        label: 'Đầu tiên',
+        badge: 'Đầu',
+        compare: (tower, a, b) => a.getDistanceRemaining() - b.getDistanceRemaining()
+    },
+    last: {
+        label: 'Cuối cùng',
+        badge: 'Cuối',
+        compare: (tower, a, b) => b.getDistanceRemaining() - a.getDistanceRemaining()
+    },
+    strongest: {
+        label: 'Mạnh nhất',
+        badge: 'Mạnh',
+        compare: (tower, a, b) => b.hp - a.hp
+    },
+    weakest: {
+        label: 'Yếu nhất',
+        badge: 'Yếu',
+        compare: (tower, a, b) => a.hp - b.hp
+    },
+    closest: {
+        label: 'Gần nhất',
+        badge: 'Gần',
+        compare: (tower, a, b) => tower.distanceTo(a) - tower.distanceTo(b)
+    },
+    fastest: {
+        label: 'Nhanh nhất',
+        badge: 'Nhanh',
+        compare: (tower, a, b) => b.speed - a.speed
+    }
+};
+
+export const DEFAULT_TARGETING = 'first';
+
 /**
  * Tower entity with modular abilities and upgrade system
  */
@@ -237,19 +553,36 @@ export class Tower extends Entity {
         
         // Upgrade system
         this.level = 0;
+        this.path = null;
         this.totalCost = this.towerData.cost_place;
         
+        // Lifetime statistics, shown in the tower panel and the end-of-game table
+        this.record = {
+            damageDealt: 0,
+            kills: 0,
+            moneyGenerated: 0,
+            infectedTime: 0
+        };
+        
         // Combat stats
         this.stats = {};
         this.baseStats = {};
         this.buffedStats = {};
+        // Buffs from towers in range: each source, and the total per type
+        this.buffSources = [];
+        this.buffTotals = {};
+        
+        // Targeting
+        this.targeting = DEFAULT_TARGETING;
         
         // Timers
         this.cooldown = 0;
+        this.abilityCooldown = 0;
         this.lastActionTime = 0;
         
         // Infection state
         this.infection = null;
+        this.vaccinated = false;
         
         // Visual properties
         this.radius = GameConstants.TOWER_RADIUS;
@@ -262,7 +595,7 @@ export class Tower extends Entity {
     applyStats(allTowers = []) {
         const data = this.level === 0 ? 
             this.towerData.base : 
-            this.towerData.upgrades[this.level - 1];
+            this.upgradeLine[this.level - 1];
         
         // Copy base stats
         this.baseStats = { ...data };
@@ -281,35 +614,30 @@ export class Tower extends Entity {
     calculateBuffedStats(allTowers) {
         const stats = { ...this.baseStats };
         
-        // Don't buff support towers
-        if (this.type === 'support' || this.type === 'support_sensor') {
-            return stats;
-        }
-        
-        let firerateMultiplier = 1;
-        let rangeMultiplier = 1;
-        
-        // Calculate buffs from nearby support towers
+        // Every buff granted by a working tower in range that does something for this one
+        this.buffSources = [];
         allTowers.forEach(tower => {
-            if (tower === this || tower.type !== 'support') return;
-            if (!this.isInRange(tower, tower.baseStats.range)) return;
+            const buffs = tower.baseStats.buffs;
+            if (tower === this || !buffs || tower.isDisabled || !this.isInRange(tower, tower.baseStats.range)) return;
             
-            const buffs = tower.baseStats;
-            if (buffs.buff_firerate_pct) {
-                firerateMultiplier *= (1 - buffs.buff_firerate_pct / 100);
-            }
-            if (buffs.buff_range_pct) {
-                rangeMultiplier *= (1 + buffs.buff_range_pct / 100);
-            }
+            Object.entries(buffs).forEach(([type, value]) => {
+                if (value && BuffTypes[type]?.appliesTo(stats)) {
+                    this.buffSources.push({ type, value, tower });
+                }
+            });
         });
         
-        // Apply multipliers
-        if (stats.firerate_s) {
-            stats.firerate_s *= firerateMultiplier;
-        }
-        if (stats.range) {
-            stats.range *= rangeMultiplier;
-        }
+        // Combine each type under its stacking rule, then apply it
+        this.buffTotals = {};
+        Object.keys(BuffTypes).forEach(type => {
+            const values = this.buffSources
+                .filter(source => source.type === type)
+                .map(source => source.value);
+            if (values.length === 0) return;
+            
+            this.buffTotals[type] = combineBuffs(type, values);
+            BuffTypes[type].apply(stats, this.buffTotals[type]);
+        });
         
         return stats;
     }
@@ -319,22 +647,42 @@ export class Tower extends Entity {
         
         const debuffedStats = { ...stats };
         const debuff = this.gameData.game_settings.infection_mechanic.effect;
+        // Infection resistance buffs soften the debuff
+        const debuffScale = 1 - (stats.infection_resistance_pct || 0) / 100;
         
         if (debuffedStats.firerate_s) {
-            debuffedStats.firerate_s *= (1 + Math.abs(debuff.firerate_pct) / 100);
+            debuffedStats.firerate_s *= (1 + Math.abs(debuff.firerate_pct) / 100 * debuffScale);
         }
         if (debuffedStats.range) {
-            debuffedStats.range *= (1 + debuff.range_pct / 100);
+            debuffedStats.range *= (1 + debuff.range_pct / 100 * debuffScale);
         }
         
         return debuffedStats;
     }
 
     update(deltaTime, gameState) {
-        // Update cooldown
+        // Update cooldowns
         if (this.cooldown > 0) {
             this.cooldown -= deltaTime;
         }
+        if (this.abilityCooldown > 0) {
+            this.abilityCooldown = Math.max(0, this.abilityCooldown - deltaTime);
+        }
+        
+        // Count down a pending sensor auto-heal
+        if (this.infection && this.infection.autoHealTimer !== null) {
+            this.infection.autoHealTimer -= deltaTime;
+            if (this.infection.autoHealTimer <= 0) {
+                this.cure(gameState);
+            }
+        }
+        
+        if (this.infection) {
+            this.record.infectedTime += deltaTime;
+        }
+        
+        // A severe infection shuts the tower down until cured
+        if (this.isDisabled) return;
         
         // Perform tower-specific action
         switch (this.type) {
@@ -354,11 +702,43 @@ export class Tower extends Entity {
 
     updateEconomy(deltaTime, gameState) {
         if (this.cooldown <= 0 && this.stats.income) {
-            gameState.earnMoney(this.stats.income);
+            const income = this.stats.income *
+                weatherMultiplier(gameState.weather, 'eco_income_pct') *
+                this.getCropMultiplier(gameState);
+            this.earnIncome(Math.round(income), gameState);
             this.cooldown = this.stats.interval_s || 1;
         }
     }
 
+    earnIncome(amount, gameState) {
+        gameState.earnMoney(amount, 'eco');
+        this.record.moneyGenerated += amount;
+    }
+
+    /**
+     * Credit damage to this tower and its type. The last tower to hurt an
+     * enemy gets the kill.
+     */
+    recordDamage(enemy, dealt, gameState) {
+        this.record.damageDealt += dealt;
+        
+        const damageDealt = gameState?.gameStats.damageDealt;
+        if (damageDealt && damageDealt[this.id] !== undefined) {
+            damageDealt[this.id] += dealt;
+        }
+        if (dealt > 0) {
+            enemy.lastHitBy = this;
+        }
+    }
+
+    /**
+     * Eco income factor from the crop towers nearby, see economy.crop_bonus
+     */
+    getCropMultiplier(gameState) {
+        const settings = gameState.economy.crop_bonus;
+        return cropMultiplier(settings, countNearbyCrops(settings, this, gameState.towers));
+    }
+
     updateSensor(deltaTime, gameState) {
         if (this.cooldown <= 0) {
             this.scanForInfections(gameState);
@@ -375,18 +755,11 @@ export class Tower extends Entity {
         if (infectedTowers.length === 0) return;
         
         const tower = infectedTowers[0];
-        showNotification(
-            `Cảm biến phát hiện ${tower.name} bị nhiễm bệnh!`, 
-            true
-        );
+        gameState.emit('infectionDetected', { tower, sensor: this });
         
-        // Auto-heal if enabled
-        if (this.stats.auto_heal) {
-            setTimeout(() => {
-                if (tower.infection) {
-                    tower.cure(gameState);
-                }
-            }, (this.stats.auto_heal_time_s || 5) * 1000);
+        // Auto-heal if enabled, counted down in simulation time by the infected tower
+        if (this.stats.auto_heal && tower.infection.autoHealTimer === null) {
+            tower.infection.autoHealTimer = this.stats.auto_heal_time_s || 5;
         }
     }
 
@@ -408,7 +781,7 @@ export class Tower extends Entity {
         this.cooldown = this.stats.firerate_s;
         
         // Create projectile
-        const projectile = this.createProjectile(target);
+        const projectile = this.createProjectile(target, gameState.weather);
         if (projectile) {
             gameState.projectiles.push(projectile);
         }
@@ -417,31 +790,36 @@ export class Tower extends Entity {
     findTargets(enemies) {
         return enemies.filter(enemy => 
             enemy.isAlive() && 
+            (!enemy.camo || this.stats.camo_detection) &&
+            (!enemy.flying || this.canHitAir) &&
             this.isInRange(enemy, this.stats.range)
         );
     }
 
     selectTarget(targets) {
-        // Priority: Closest to end > Most HP > Closest to tower
-        return targets.sort((a, b) => {
-            // First priority: furthest along path
-            if (a.pathIndex !== b.pathIndex) {
-                return b.pathIndex - a.pathIndex;
-            }
-            // Second priority: highest HP
-            if (a.hp !== b.hp) {
-                return b.hp - a.hp;
-            }
-            // Third priority: closest to tower
-            return this.distanceTo(a) - this.distanceTo(b);
-        })[0];
+        // Priority: targeting mode > Closest to end > Closest to tower
+        const mode = TargetingModes[this.targeting] || TargetingModes[DEFAULT_TARGETING];
+        return targets.sort((a, b) =>
+            mode.compare(this, a, b) ||
+            TargetingModes.first.compare(this, a, b) ||
+            this.distanceTo(a) - this.distanceTo(b)
+        )[0];
     }
 
-    createProjectile(target) {
+    setTargeting(mode) {
+        if (!TargetingModes[mode]) return false;
+        this.targeting = mode;
+        return true;
+    }
+
+    createProjectile(target, weather = null) {
         const projectileData = {
             x: this.x,
             y: this.y,
-            damage: this.stats.dmg,
+            damage: this.stats.dmg * weatherMultiplier(weather, 'tower_damage_pct', this.id),
+            damageType: this.damageType,
+            canHitAir: this.canHitAir,
+            tower: this,
             towerId: this.id,
             towerType: this.type
         };
@@ -451,32 +829,208 @@ export class Tower extends Entity {
             projectileData.aoeRadius = this.stats.aoe_radius || 50;
         } else {
             projectileData.target = target;
-            projectileData.ability = this.stats.ability;
         }
+        projectileData.ability = this.stats.ability;
         
         return new Projectile(projectileData);
     }
 
-    upgrade(allTowers) {
-        if (this.level >= this.towerData.upgrades.length) return false;
+    getPath(pathId) {
+        return (this.towerData.paths || []).find(path => path.id === pathId) || null;
+    }
+
+    /**
+     * Levels this tower can reach: the shared upgrades, then its chosen path's
+     */
+    get upgradeLine() {
+        const path = this.getPath(this.path);
+        return path ? this.towerData.upgrades.concat(path.upgrades) : this.towerData.upgrades;
+    }
+
+    /**
+     * Upgrades available now: one per path at the branch point, otherwise
+     * the next level of the line, none at max level
+     * @returns {Array<{pathId: string|null, path: Object|null, upgrade: Object}>}
+     */
+    getUpgradeOptions() {
+        const line = this.upgradeLine;
+        if (this.level < line.length) {
+            return [{ pathId: this.path, path: this.getPath(this.path), upgrade: line[this.level] }];
+        }
+        if (this.path) return [];
+        
+        return (this.towerData.paths || []).map(path => ({
+            pathId: path.id,
+            path,
+            upgrade: path.upgrades[0]
+        }));
+    }
+
+    /**
+     * Upgrade option for a path id; with no id, the only option if there is just one
+     */
+    findUpgradeOption(pathId = null) {
+        const options = this.getUpgradeOptions();
+        if (pathId === null || pathId === undefined) {
+            return options.length === 1 ? options[0] : null;
+        }
+        return options.find(option => option.pathId === pathId) || null;
+    }
+
+    upgrade(allTowers, pathId = null) {
+        const option = this.findUpgradeOption(pathId);
+        if (!option) return false;
         
-        const upgradeCost = this.towerData.upgrades[this.level].cost;
-        this.totalCost += upgradeCost;
+        this.totalCost += option.upgrade.cost;
+        this.path = option.pathId;
         this.level++;
         this.applyStats(allTowers);
         
         return true;
     }
 
-    infect() {
-        if (this.type === 'support_sensor') return; // Sensors can't be infected
+    /**
+     * Plain-data copy of the tower for save games
+     */
+    toSnapshot() {
+        return {
+            uid: this.uid,
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            level: this.level,
+            path: this.path,
+            totalCost: this.totalCost,
+            record: { ...this.record },
+            cooldown: this.cooldown,
+            abilityCooldown: this.abilityCooldown,
+            targeting: this.targeting,
+            vaccinated: this.vaccinated,
+            infection: this.infection ? { ...this.infection } : null
+        };
+    }
+
+    /**
+     * Rebuild a tower from a snapshot, fitting it to the current game data
+     * @returns {Tower|null} Null if the tower no longer exists in data.json
+     */
+    static fromSnapshot(snapshot, gameData) {
+        const towerData = gameData.towers.find(t => t.id === snapshot.id);
+        if (!towerData) return null;
+        
+        const tower = new Tower(snapshot.x, snapshot.y, snapshot.id, gameData);
+        tower.uid = snapshot.uid;
+        tower.path = tower.getPath(snapshot.path) ? snapshot.path : null;
+        tower.level = Math.min(snapshot.level || 0, tower.upgradeLine.length);
+        tower.totalCost = snapshot.totalCost ?? tower.totalCost;
+        tower.record = { ...snapshot.record };
+        tower.cooldown = snapshot.cooldown || 0;
+        tower.abilityCooldown = snapshot.abilityCooldown;
+        tower.setTargeting(snapshot.targeting);
+        tower.vaccinated = snapshot.vaccinated || false;
+        
+        if (snapshot.infection) {
+            tower.infection = {
+                ...tower.createInfection(),
+                ...snapshot.infection
+            };
+        }
         
-        this.infection = {
+        tower.applyStats();
+        return tower;
+    }
+
+    /**
+     * Fresh infection state. Severity 1 applies the stat debuff, severity 2
+     * disables the tower; age drives escalation and spread.
+     */
+    createInfection() {
+        const settings = this.gameData.game_settings.infection_mechanic;
+        return {
             cureClicks: 0,
-            cureRequired: this.gameData.game_settings.infection_mechanic.cure_clicks_required
+            cureRequired: settings.cure_clicks_required,
+            autoHealTimer: null,
+            severity: 1,
+            age: 0,
+            // Treatment curing the tower over time, if any
+            treatment: null,
+            nextSpreadAt: settings.spread ? settings.spread.after_s : null
         };
+    }
+
+    infect(allTowers = []) {
+        if (!this.canBeInfected) return;
         
-        this.applyStats();
+        this.infection = this.createInfection();
+        
+        this.applyStats(allTowers);
+    }
+
+    /**
+     * Whether a treatment option can be used on this tower now
+     * @returns {Object} `{ ok: true }` or `{ ok: false, reason }`
+     */
+    canReceiveTreatment(treatment) {
+        if (treatment.vaccinate) {
+            if (this.vaccinated) return { ok: false, reason: 'already_vaccinated' };
+            if (this.type === 'support_sensor') return { ok: false, reason: 'not_infectable' };
+            return { ok: true };
+        }
+        if (!this.infection) return { ok: false, reason: 'not_infected' };
+        if (this.infection.treatment) return { ok: false, reason: 'already_treating' };
+        return { ok: true };
+    }
+
+    /**
+     * Cure now, or after the treatment's cure_time_s, and vaccinate if it does
+     */
+    applyTreatment(treatment, gameState) {
+        if (treatment.vaccinate) {
+            this.vaccinated = true;
+        }
+        if (!this.infection) return;
+        
+        if (treatment.cure_time_s) {
+            // Counted down like a sensor auto-heal
+            this.infection.treatment = treatment.id;
+            this.infection.autoHealTimer = treatment.cure_time_s;
+        } else {
+            this.cure(gameState);
+        }
+    }
+
+    /**
+     * Whether the player can trigger this tower's active ability now
+     * @returns {{ok: boolean, reason?: string}}
+     */
+    canActivate() {
+        const active = this.activeAbility;
+        if (!active || !ActiveAbilities[active.type]) return { ok: false, reason: 'no_ability' };
+        if (this.isDisabled) return { ok: false, reason: 'tower_disabled' };
+        if (this.abilityCooldown > 0) return { ok: false, reason: 'ability_cooldown' };
+        return { ok: true };
+    }
+
+    /**
+     * Trigger the active ability and start its cooldown
+     * @returns {boolean} False if it found nothing to affect
+     */
+    activate(gameState) {
+        const active = this.activeAbility;
+        if (!ActiveAbilities[active.type].activate(this, active, gameState)) return false;
+        
+        this.abilityCooldown = active.cooldown_s;
+        return true;
+    }
+
+    /**
+     * Disable the tower. Its buffs stop, so every tower's stats are refreshed.
+     */
+    escalateInfection(allTowers) {
+        if (!this.infection) return;
+        
+        this.infection.severity = 2;
+        allTowers.forEach(tower => tower.applyStats(allTowers));
     }
 
     handleClickCure(gameState) {
@@ -493,9 +1047,10 @@ export class Tower extends Entity {
         if (!this.infection) return;
         
         this.infection = null;
-        this.applyStats(gameState.towers);
+        // A cured support tower buffs its neighbours again
+        gameState.towers.forEach(tower => tower.applyStats(gameState.towers));
         gameState.gameStats.infectionsCured++;
-        showNotification(`${this.name} đã được chữa khỏi!`);
+        gameState.emit('towerCured', { tower: this });
     }
 
     draw(ctx) {
@@ -507,6 +1062,16 @@ export class Tower extends Entity {
         // Draw tower type indicator
         this.drawTowerIcon(ctx);
         
+        // Draw targeting mode for towers that shoot
+        if (this.canAttack()) {
+            this.drawTargetingBadge(ctx);
+        }
+        
+        // Draw active ability readiness
+        if (this.activeAbility) {
+            this.drawAbilityCooldown(ctx);
+        }
+        
         // Draw infection indicator
         if (this.infection) {
             this.drawInfectionIndicator(ctx);
@@ -557,6 +1122,58 @@ export class Tower extends Entity {
         ctx.fillText(icon, this.x, this.y);
     }
 
+    drawTargetingBadge(ctx) {
+        const mode = TargetingModes[this.targeting];
+        if (!mode) return;
+        
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        const width = ctx.measureText(mode.badge).width + 6;
+        const y = this.y + this.radius + 7;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(this.x - width / 2, y - 6, width, 12);
+        ctx.fillStyle = 'white';
+        ctx.fillText(mode.badge, this.x, y);
+    }
+
+    drawAbilityCooldown(ctx) {
+        const ability = ActiveAbilities[this.activeAbility.type];
+        if (!ability) return;
+        
+        const x = this.x + this.radius * 0.8;
+        const y = this.y - this.radius * 0.8;
+        const ready = this.abilityCooldown <= 0;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, Math.PI * 2);
+        ctx.fill();
+        
+        if (ready) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        } else {
+            // Remaining cooldown as a shrinking wedge
+            const remaining = this.abilityCooldown / this.activeAbility.cooldown_s;
+            ctx.fillStyle = 'rgba(150, 150, 150, 0.8)';
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.arc(x, y, 8, -Math.PI / 2, -Math.PI / 2 + remaining * Math.PI * 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+        
+        ctx.globalAlpha = ready ? 1 : 0.5;
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(ability.icon, x, y);
+        ctx.globalAlpha = 1;
+    }
+
     drawInfectionIndicator(ctx) {
         if (!this.infection) return;
         
@@ -568,6 +1185,18 @@ export class Tower extends Entity {
         ctx.arc(this.x, this.y, this.radius + 5, 0, Math.PI * 2);
         ctx.stroke();
         
+        // Disabled towers are greyed out
+        if (this.isDisabled) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('⛔', this.x, this.y);
+        }
+        
         // Cure progress
         if (this.infection.cureClicks > 0) {
             ctx.fillStyle = 'white';
@@ -608,6 +1237,28 @@ export class Tower extends Entity {
         return this.infection !== null;
     }
     
+    /**
+     * Money back when sold, at the given refund rate
+     */
+    getSellValue(refundRate) {
+        return Math.floor(this.totalCost * refundRate);
+    }
+    
+    get canBeInfected() {
+        return !this.infection && !this.vaccinated && this.type !== 'support_sensor';
+    }
+    
+    get isDisabled() {
+        return this.infection !== null && this.infection.severity >= 2;
+    }
+    
+    /**
+     * Whether a treatment or sensor auto-heal is curing the infection
+     */
+    get isBeingTreated() {
+        return this.infection !== null && this.infection.autoHealTimer !== null;
+    }
+    
     get currentRange() {
         return this.stats.range || 0;
     }
@@ -616,6 +1267,14 @@ export class Tower extends Entity {
         return this.stats.dmg;
     }
     
+    get canHitAir() {
+        return this.towerData.can_hit_air || false;
+    }
+    
+    get damageType() {
+        return this.stats.damage_type || this.towerData.damage_type || 'kinetic';
+    }
+    
     get firerate() {
         return this.stats.firerate_s;
     }
@@ -632,13 +1291,17 @@ export class Tower extends Entity {
         return this.stats.interval_s;
     }
     
+    /**
+     * Buffs this tower grants to the towers in its range
+     */
     get buffs() {
-        return {
-            firerate_pct: this.stats.buff_firerate_pct || 0,
-            range_pct: this.stats.buff_range_pct || 0
-        };
+        return this.stats.buffs || {};
     }
     
+    get activeAbility() {
+        return this.stats.active || null;
+    }
+
     get ability() {
         return this.stats.ability;
     }
@@ -657,6 +1320,9 @@ export class Projectile extends Entity {
         
         // Core properties
         this.damage = data.damage;
+        this.damageType = data.damageType;
+        this.canHitAir = data.canHitAir || false;
+        this.tower = data.tower || null;
         this.towerId = data.towerId;
         this.towerType = data.towerType;
         
@@ -752,40 +1418,37 @@ export class Projectile extends Entity {
         }
         
         // Deal damage
-        const killed = this.target.takeDamage(this.damage);
-        
-        // Track damage stats
-        if (gameState.gameStats.damageDealt[this.towerId] !== undefined) {
-            gameState.gameStats.damageDealt[this.towerId] += this.damage;
-        }
+        const dealt = this.target.takeDamage(this.damage, this.damageType);
+        this.tower?.recordDamage(this.target, dealt, gameState);
         
         // Apply ability effects
-        if (this.ability && this.ability.slow_pct) {
-            this.target.applyStatusEffect(
-                'slow',
-                this.ability.slow_pct / 100,
-                1.5
-            );
-        }
+        this.applyAbility(this.target);
         
         this.active = false;
     }
 
+    applyAbility(enemy) {
+        const ability = this.ability;
+        if (!ability || !enemy.isAlive()) return;
+        if (ability.no_effect_on_boss && enemy.isBoss) return;
+        
+        enemy.applyStatusEffect(ability.effect, ability.value || 0, ability.duration_s, this.tower);
+    }
+
     explode(gameState) {
         // Find all enemies in AOE radius
         const targets = gameState.enemies.filter(enemy =>
             enemy.isAlive() &&
+            (!enemy.flying || this.canHitAir) &&
             this.isInRange(enemy, this.aoeRadius)
         );
         
         // Deal damage to all targets
         targets.forEach(enemy => {
-            enemy.takeDamage(this.damage);
+            const dealt = enemy.takeDamage(this.damage, this.damageType);
+            this.tower?.recordDamage(enemy, dealt, gameState);
             
-            // Track damage stats
-            if (gameState.gameStats.damageDealt[this.towerId] !== undefined) {
-                gameState.gameStats.damageDealt[this.towerId] += this.damage;
-            }
+            this.applyAbility(enemy);
         });
         
         this.active = false;
@@ -1,8 +1,14 @@
 // game.js - Complete rewrite with clean architecture
 // Main game orchestrator with separated concerns and proper state management
 
-import { path, isPointNearLine } from './config.js';
-import { Enemy, Tower, Projectile } from './entities.js';
+import { GameConstants, ValidationUtils, GameDataError } from './config.js';
+import { Simulation, GameStates, CommandTypes } from './simulation.js';
+import { createSeed, parseSeed } from './random.js';
+import { SaveManager, EndlessRecords } from './storage.js';
+import { resolveRules } from './difficulty.js';
+import { ReplayManager, ReplayPlayer } from './replay.js';
+import { ActiveAbilities, ABILITY_HOTKEY } from './abilities.js';
+import { countNearbyCrops, cropMultiplier } from './economy.js';
 import {
     initUI,
     updateTopBar,
@@ -12,101 +18,36 @@ import {
     showFinalReflection,
     showGameOver,
     hideMainMenu,
+    showContinueOption,
+    showDataErrors,
     updateTowerSelection,
+    updateSpeedControls,
+    updateWavePreview,
+    showReplayControls,
+    updateReplayControls,
+    updateSelectedTower,
     setStartWaveButtonState
 } from './ui.js';
 import cheatCodes from './cheatcodes.js';
 
-// Game states enum
-const GameStates = {
-    LOADING: 'loading',
-    MENU: 'menu',
-    PLAYING: 'playing',
-    WAVE_BREAK: 'wave_break',
-    PAUSED: 'paused',
-    GAME_OVER: 'game_over',
-    VICTORY: 'victory'
+// Why the difficulty rules refused a tower, by rejection reason
+const TOWER_RESTRICTION_MESSAGES = {
+    tower_not_allowed: 'Luật chơi không cho phép xây tháp này!',
+    tower_limit: 'Đã đạt số tháp tối đa!'
 };
 
-/**
- * Main game state management
- */
-class GameState {
-    constructor() {
-        this.reset();
-    }
-
-    reset() {
-        // Game data
-        this.gameData = null;
-
-        // Resources
-        this.money = 500;
-        this.lives = 20;
-
-        // Wave management
-        this.currentWave = 0;
-        this.waveInProgress = false;
-
-        // Entities
-        this.enemies = [];
-        this.towers = [];
-        this.projectiles = [];
-
-        // Selection state
-        this.selectedTower = null;
-        this.placingTowerType = null;
-
-        // Input state
-        this.mousePos = { x: 0, y: 0 };
-        this.validPlacement = false;
-
-        // Statistics
-        this.gameStats = {
-            moneyEarned: 0,
-            towersPlaced: 0,
-            towersUpgraded: 0,
-            infectionsTotal: 0,
-            infectionsCured: 0,
-            enemiesKilled: 0,
-            damageDealt: {}
-        };
-    }
-
-    initialize(gameData) {
-        this.gameData = gameData;
-        this.money = gameData.game_settings.start_money;
-        this.lives = gameData.game_settings.start_lives;
-        this.gameStats.moneyEarned = this.money;
-
-        // Initialize damage tracking
-        gameData.towers.forEach(tower => {
-            this.gameStats.damageDealt[tower.id] = 0;
-        });
-    }
-
-    earnMoney(amount) {
-        this.money += amount;
-        this.gameStats.moneyEarned += amount;
-    }
-
-    takeDamage(amount = 1) {
-        this.lives = Math.max(0, this.lives - amount);
-        return this.lives <= 0;
-    }
-
-    canAfford(cost) {
-        return this.money >= cost;
-    }
+// Why a tower's active ability could not be used, by rejection reason
+const ABILITY_MESSAGES = {
+    ability_cooldown: 'Kỹ năng đang hồi chiêu!',
+    tower_disabled: 'Tháp đang ngừng hoạt động vì bệnh nặng!',
+    no_targets: 'Không có sâu bệnh nào để dùng kỹ năng!'
+};
 
-    purchase(cost) {
-        if (this.canAfford(cost)) {
-            this.money -= cost;
-            return true;
-        }
-        return false;
-    }
-}
+// Why a loan could not be taken or repaid, by rejection reason
+const LOAN_MESSAGES = {
+    loan_active: 'Phải trả khoản vay hiện tại trước!',
+    no_loan: 'Không có khoản vay nào cần trả!'
+};
 
 /**
  * Handles all rendering operations
@@ -115,6 +56,13 @@ class RenderManager {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+
+        // Camera from world units to CSS pixels, letterboxed to keep the aspect ratio
+        this.worldSize = { width: GameConstants.WORLD_WIDTH, height: GameConstants.WORLD_HEIGHT };
+        this.viewSize = { width: 800, height: 600 };
+        this.pixelRatio = 1;
+        this.camera = { scale: 1, offsetX: 0, offsetY: 0 };
+
         // Delay resize to ensure DOM is ready
         setTimeout(() => this.resizeCanvas(), 0);
 
@@ -128,56 +76,135 @@ class RenderManager {
         if (parent) {
             // Get actual dimensions
             const rect = parent.getBoundingClientRect();
-            this.canvas.width = rect.width || 800; // Fallback width
-            this.canvas.height = rect.height || 600; // Fallback height
+            this.viewSize = {
+                width: rect.width || 800, // Fallback width
+                height: rect.height || 600 // Fallback height
+            };
+
+            // Back the canvas at device resolution so it stays crisp on high-DPI screens
+            this.pixelRatio = window.devicePixelRatio || 1;
+            this.canvas.width = Math.round(this.viewSize.width * this.pixelRatio);
+            this.canvas.height = Math.round(this.viewSize.height * this.pixelRatio);
+            this.updateCamera();
+
+            console.log('Canvas resized to:', this.viewSize.width, 'x', this.viewSize.height);
+        }
+    }
 
-            // Update path endpoint to match canvas
-            if (path.length > 0) {
-                path[path.length - 1].x = this.canvas.width + 50;
-            }
+    /**
+     * Set the world size the camera fits to the viewport
+     */
+    setWorldSize(width, height) {
+        this.worldSize = { width, height };
+        this.updateCamera();
+    }
 
-            console.log('Canvas resized to:', this.canvas.width, 'x', this.canvas.height);
-        }
+    updateCamera() {
+        const scale = Math.min(
+            this.viewSize.width / this.worldSize.width,
+            this.viewSize.height / this.worldSize.height
+        );
+        this.camera = {
+            scale,
+            offsetX: (this.viewSize.width - this.worldSize.width * scale) / 2,
+            offsetY: (this.viewSize.height - this.worldSize.height * scale) / 2
+        };
+    }
+
+    /**
+     * Convert a mouse position in the page to world coordinates
+     */
+    screenToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.camera.offsetX) / this.camera.scale,
+            y: (clientY - rect.top - this.camera.offsetY) / this.camera.scale
+        };
     }
 
     render(gameState) {
-        // Clear canvas with background color
-        this.ctx.fillStyle = '#8FBC8F';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        // Follow the world size of the simulation shown; replays keep the size they were recorded with
+        const { width, height } = gameState.map;
+        if (width !== this.worldSize.width || height !== this.worldSize.height) {
+            this.setWorldSize(width, height);
+        }
+
+        const ctx = this.ctx;
+        const ratio = this.pixelRatio;
+        const { scale, offsetX, offsetY } = this.camera;
+
+        // Letterbox bars around the world
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = '#5E7D5E';
+        ctx.fillRect(0, 0, this.viewSize.width, this.viewSize.height);
+
+        // Everything below is drawn in world units
+        ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * offsetX, ratio * offsetY);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, this.worldSize.width, this.worldSize.height);
+        ctx.clip();
+
+        // Clear the world with the map's background color
+        ctx.fillStyle = gameState.map.background;
+        ctx.fillRect(0, 0, this.worldSize.width, this.worldSize.height);
 
         // Render layers in order
-        this.drawPath();
+        this.drawBlockedZones(gameState.map);
+        this.drawPath(gameState.map);
         this.drawPlacementGhost(gameState);
         this.drawTowers(gameState);
         this.drawEnemies(gameState);
         this.drawProjectiles(gameState);
+        this.drawWeather(gameState.weather);
         this.drawUI(gameState);
+
+        ctx.restore();
     }
 
-    drawPath() {
+    drawBlockedZones(map) {
         const ctx = this.ctx;
 
-        // Draw outer path border
-        ctx.strokeStyle = '#D2B48C';
-        ctx.lineWidth = 50;
+        map.blockedZones.forEach(zone => {
+            ctx.fillStyle = zone.color || 'rgba(0, 0, 0, 0.25)';
+            ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+
+            if (zone.label) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.font = 'bold 14px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(zone.label, zone.x + zone.width / 2, zone.y + zone.height / 2);
+            }
+        });
+    }
+
+    drawPath(map) {
+        const ctx = this.ctx;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
-        ctx.beginPath();
-        ctx.moveTo(path[0].x, path[0].y);
-        path.forEach((point, i) => {
-            if (i > 0) ctx.lineTo(point.x, point.y);
-        });
-        ctx.stroke();
 
-        // Draw inner path
-        ctx.strokeStyle = '#A0522D';
-        ctx.lineWidth = 44;
-        ctx.beginPath();
-        ctx.moveTo(path[0].x, path[0].y);
-        path.forEach((point, i) => {
-            if (i > 0) ctx.lineTo(point.x, point.y);
+        // Borders of every lane first so forks and merges join cleanly
+        this.strokeLanes(map.lanes, '#D2B48C', 50);
+        this.strokeLanes(map.lanes, '#A0522D', 44);
+    }
+
+    strokeLanes(lanes, color, width) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+
+        lanes.forEach(lane => {
+            ctx.beginPath();
+            ctx.moveTo(lane.path[0].x, lane.path[0].y);
+            lane.path.forEach((point, i) => {
+                if (i > 0) ctx.lineTo(point.x, point.y);
+            });
+            ctx.stroke();
         });
-        ctx.stroke();
     }
 
     drawPlacementGhost(gameState) {
@@ -209,6 +236,24 @@ class RenderManager {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = 1;
         ctx.stroke();
+
+        // Crop bonus area, and the income bonus at this spot
+        const cropBonus = gameState.economy.crop_bonus;
+        if (cropBonus && cropBonus.crop_towers.includes(towerData.id)) {
+            const crops = countNearbyCrops(cropBonus, { x, y }, gameState.towers);
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.arc(x, y, cropBonus.radius, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(144, 238, 144, 0.8)';
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 12px sans-serif';
+            ctx.textAlign = 'center';
+            const pct = Math.round((cropMultiplier(cropBonus, crops) - 1) * 100);
+            ctx.fillText(`🌾 +${pct}%`, x, y - 28);
+        }
     }
 
     drawTowers(gameState) {
@@ -229,6 +274,50 @@ class RenderManager {
         gameState.projectiles.forEach(projectile => projectile.draw(this.ctx));
     }
 
+    /**
+     * Animated overlay for the current weather. Purely visual, so it runs on wall-clock time.
+     */
+    drawWeather(weather) {
+        if (!weather?.overlay) return;
+
+        const ctx = this.ctx;
+        const { width, height } = this.worldSize;
+        const time = performance.now() / 1000;
+
+        ctx.save();
+        if (weather.overlay === 'heat') {
+            // Shimmering warm haze
+            const alpha = 0.12 + Math.sin(time * 2) * 0.03;
+            ctx.fillStyle = `rgba(255, 160, 50, ${alpha})`;
+            ctx.fillRect(0, 0, width, height);
+        } else {
+            const isStorm = weather.overlay === 'storm';
+            ctx.fillStyle = isStorm ? 'rgba(20, 30, 60, 0.3)' : 'rgba(40, 60, 100, 0.12)';
+            ctx.fillRect(0, 0, width, height);
+
+            // Falling rain streaks on a fixed grid, slanted by the wind in storms
+            const drops = isStorm ? 220 : 120;
+            const slant = isStorm ? 12 : 3;
+            ctx.strokeStyle = 'rgba(200, 220, 255, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let i = 0; i < drops; i++) {
+                const x = (i * 97.3) % width;
+                const y = ((i * 53.7) + time * 600) % height;
+                ctx.moveTo(x, y);
+                ctx.lineTo(x - slant, y + 14);
+            }
+            ctx.stroke();
+
+            // Occasional lightning flash
+            if (isStorm && Math.sin(time * 0.9) > 0.995) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+                ctx.fillRect(0, 0, width, height);
+            }
+        }
+        ctx.restore();
+    }
+
     drawUI(gameState) {
         // Draw infection cure counters
         const ctx = this.ctx;
@@ -260,14 +349,18 @@ class RenderManager {
  * Handles all input events
  */
 class InputManager {
-    constructor(canvas, gameState, gameManager) {
+    constructor(canvas, gameManager) {
         this.canvas = canvas;
-        this.gameState = gameState;
         this.gameManager = gameManager;
 
         this.setupEventListeners();
     }
 
+    // The simulation is replaced when a saved game is resumed
+    get gameState() {
+        return this.gameManager.gameState;
+    }
+
     setupEventListeners() {
         // Canvas events
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
@@ -279,9 +372,9 @@ class InputManager {
     }
 
     handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.gameState.mousePos.x = event.clientX - rect.left;
-        this.gameState.mousePos.y = event.clientY - rect.top;
+        const { x, y } = this.gameManager.renderManager.screenToWorld(event.clientX, event.clientY);
+        this.gameState.mousePos.x = x;
+        this.gameState.mousePos.y = y;
 
         // Update placement validation
         if (this.gameState.placingTowerType) {
@@ -317,6 +410,9 @@ class InputManager {
     }
 
     handleKeyDown(event) {
+        // Leave typing in the reflection box alone
+        if (event.target.closest?.('input, textarea')) return;
+
         switch (event.key) {
             case 'Escape':
                 if (this.gameState.placingTowerType) {
@@ -327,6 +423,15 @@ class InputManager {
                 event.preventDefault();
                 this.gameManager.togglePause();
                 break;
+            case '1':
+            case '2':
+            case '3':
+                this.gameManager.setGameSpeed(Number(event.key));
+                break;
+            case ABILITY_HOTKEY:
+            case ABILITY_HOTKEY.toUpperCase():
+                this.gameManager.activateAbility(this.gameState.selectedTower);
+                break;
         }
     }
 
@@ -340,109 +445,7 @@ class InputManager {
 }
 
 /**
- * Manages wave spawning and progression
- */
-class WaveManager {
-    constructor(gameState) {
-        this.gameState = gameState;
-        this.spawnQueue = [];
-        this.spawnTimer = 0;
-    }
-
-    startWave(waveNumber) {
-        const waveData = this.gameState.gameData.waves[waveNumber - 1];
-        if (!waveData) return false;
-
-        this.spawnQueue = [];
-
-        // Build spawn queue
-        waveData.composition.forEach(group => {
-            const enemyData = this.gameState.gameData.enemies.find(
-                e => e.id === group.enemy_id
-            );
-            if (!enemyData) return;
-
-            for (let i = 0; i < group.count; i++) {
-                this.spawnQueue.push({
-                    enemyData: enemyData,
-                    spawnTime: i * (group.interval_ms / 1000)
-                });
-            }
-        });
-
-        this.spawnTimer = 0;
-        return true;
-    }
-
-    update(deltaTime) {
-        if (this.spawnQueue.length === 0) return;
-
-        this.spawnTimer += deltaTime;
-
-        // Spawn enemies whose time has come
-        while (this.spawnQueue.length > 0 && this.spawnQueue[0].spawnTime <= this.spawnTimer) {
-            const spawn = this.spawnQueue.shift();
-            this.gameState.enemies.push(new Enemy(spawn.enemyData));
-        }
-    }
-
-    isComplete() {
-        return this.spawnQueue.length === 0 && this.gameState.enemies.length === 0;
-    }
-}
-
-/**
- * Manages the infection mechanic
- */
-class InfectionManager {
-    constructor(gameState) {
-        this.gameState = gameState;
-        this.timer = 0;
-        this.interval = 0;
-        this.enabled = false;
-    }
-
-    initialize() {
-        const settings = this.gameState.gameData.game_settings.infection_mechanic;
-        if (!settings) return;
-
-        this.interval = settings.every_s;
-        this.timer = 0;
-        this.enabled = true;
-    }
-
-    update(deltaTime) {
-        if (!this.enabled || !this.gameState.waveInProgress) return;
-
-        this.timer += deltaTime;
-
-        if (this.timer >= this.interval) {
-            this.timer = 0;
-            this.infectRandomTower();
-        }
-    }
-
-    infectRandomTower() {
-        const eligible = this.gameState.towers.filter(t =>
-            !t.isInfected && t.type !== 'support_sensor'
-        );
-
-        if (eligible.length === 0) return;
-
-        const tower = eligible[Math.floor(Math.random() * eligible.length)];
-        tower.infect();
-        this.gameState.gameStats.infectionsTotal++;
-        showNotification(`Tháp ${tower.name} đã bị sâu bệnh tấn công!`, true);
-    }
-
-    stop() {
-        this.enabled = false;
-        this.timer = 0;
-    }
-}
-
-/**
- * Main game manager
+ * Main game manager - connects the simulation to the canvas, input and UI
  */
 class GameManager {
     constructor() {
@@ -452,42 +455,71 @@ class GameManager {
         }
 
         // Core systems
-        this.gameState = new GameState();
+        this.gameData = null;
+        this.simulation = null;
         this.renderManager = new RenderManager(this.canvas);
         this.inputManager = null;
-        this.waveManager = new WaveManager(this.gameState);
-        this.infectionManager = new InfectionManager(this.gameState);
+        this.replayPlayer = null;
 
         // Game flow
         this.currentState = GameStates.LOADING;
         this.lastTime = 0;
+        this.accumulator = 0;
+        this.saveRequested = false;
         this.animationFrameId = null;
         this.isPaused = false;
+        this.isSeeking = false;
+        this.gameSpeed = 1;
 
         // UI handlers
         this.uiHandlers = {
             startGame: this.startGame.bind(this),
+            continueGame: this.continueGame.bind(this),
+            selectMap: this.selectMap.bind(this),
+            setEndlessMode: this.setEndlessMode.bind(this),
+            setRules: this.setRules.bind(this),
             startWave: this.startNextWave.bind(this),
             selectTowerToPlace: this.selectTowerToPlace.bind(this),
             upgradeTower: this.upgradeTower.bind(this),
-            sellTower: this.sellTower.bind(this)
+            sellTower: this.sellTower.bind(this),
+            setTowerTargeting: this.setTowerTargeting.bind(this),
+            treatTower: this.treatTower.bind(this),
+            activateAbility: this.activateAbility.bind(this),
+            takeLoan: this.takeLoan.bind(this),
+            repayLoan: this.repayLoan.bind(this),
+            setGameSpeed: this.setGameSpeed.bind(this),
+            togglePause: this.togglePause.bind(this),
+            exportReplay: this.exportReplay.bind(this),
+            loadReplay: this.loadReplay.bind(this),
+            seekReplay: this.seekReplay.bind(this)
         };
     }
 
+    get gameState() {
+        return this.simulation ? this.simulation.state : null;
+    }
+
     async initialize() {
         try {
             // Load game data
-            await this.loadGameData();
+            this.gameData = await this.loadGameData();
 
             // Initialize systems
-            this.gameState.initialize(this.gameState.gameData);
-            this.inputManager = new InputManager(this.canvas, this.gameState, this);
-            this.infectionManager.initialize();
+            this.createSimulation({ seed: this.getSeedFromUrl() ?? createSeed() });
+            this.inputManager = new InputManager(this.canvas, this);
 
             // Initialize UI
             initUI(this.gameState, this.uiHandlers);
             updateTopBar(this.gameState);
 
+            // Offer to resume a saved game
+            const save = SaveManager.load();
+            if (save) {
+                showContinueOption(save);
+            } else if (SaveManager.discardReason) {
+                showNotification('Ván đã lưu từ phiên bản cũ không thể chuyển sang phiên bản này nên đã bị xóa.', true);
+            }
+
             // Initialize cheat codes (ADD THIS)
             cheatCodes.init(this);
 
@@ -502,7 +534,11 @@ class GameManager {
 
         } catch (error) {
             console.error('Failed to initialize game:', error);
-            showNotification('Lỗi tải game. Vui lòng tải lại trang.', true);
+            if (error instanceof GameDataError) {
+                showDataErrors(error.errors);
+            } else {
+                showNotification('Lỗi tải game. Vui lòng tải lại trang.', true);
+            }
         }
     }
 
@@ -516,44 +552,245 @@ class GameManager {
             const data = await response.json();
 
             // Validate data structure
-            if (!data.towers || !data.enemies || !data.waves) {
-                throw new Error('Invalid game data structure');
-            }
+            ValidationUtils.validateGameData(data);
 
-            this.gameState.gameData = data;
+            return data;
 
         } catch (error) {
+            if (error instanceof GameDataError) {
+                console.table(error.errors);
+                throw error;
+            }
             console.error('Error loading game data:', error);
             throw new Error('Could not load game data');
         }
     }
 
+    /**
+     * Create the simulation for a new game, or resume one from a save snapshot
+     */
+    createSimulation(options = {}, snapshot = null) {
+        this.simulation = snapshot ?
+            Simulation.fromSnapshot(this.gameData, snapshot, options) :
+            new Simulation(this.gameData, options);
+        this.bindSimulationEvents();
+    }
+
+    /**
+     * Read a shared seed from the page URL (?seed=...), so a class can play the same game
+     */
+    getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return parseSeed(params.get('seed'));
+    }
+
+    /**
+     * Translate simulation events into UI feedback
+     */
+    bindSimulationEvents() {
+        const simulation = this.simulation;
+
+        // Events replayed while seeking are not shown
+        const sim = {
+            on: (type, listener) => simulation.on(type, event => {
+                if (!this.isSeeking) listener(event);
+            })
+        };
+
+        sim.on('waveStarted', ({ wave }) => {
+            setStartWaveButtonState(false);
+            showNotification(`Đợt ${wave} bắt đầu!`);
+            updateWavePreview(this.gameState);
+        });
+
+        // Effective damage in the preview depends on the towers built
+        ['towerPlaced', 'towerUpgraded', 'towerSold'].forEach(type => {
+            sim.on(type, () => updateWavePreview(this.gameState));
+        });
+
+        sim.on('waveCompleted', () => {
+            if (this.replayPlayer) return;
+
+            // Saved once the current step has finished, see update()
+            this.saveRequested = true;
+            showWaveSummary(this.gameState);
+            setStartWaveButtonState(true);
+
+            if (this.simulation.endless && EndlessRecords.record(this.simulation.mapId, this.gameState.currentWave)) {
+                showNotification(`Kỷ lục mới trên bản đồ này: đợt ${this.gameState.currentWave}!`);
+            }
+        });
+
+        sim.on('towerInfected', ({ tower }) => {
+            showNotification(`Tháp ${tower.name} đã bị sâu bệnh tấn công!`, true);
+        });
+
+        sim.on('infectionSpread', ({ tower, source }) => {
+            showNotification(`Sâu bệnh từ ${source.name} đã lan sang ${tower.name}!`, true);
+        });
+
+        sim.on('towerDisabled', ({ tower }) => {
+            showNotification(`${tower.name} bị bệnh nặng và ngừng hoạt động!`, true);
+        });
+
+        sim.on('infectionDetected', ({ tower }) => {
+            showNotification(`Cảm biến phát hiện ${tower.name} bị nhiễm bệnh!`, true);
+        });
+
+        sim.on('towerCured', ({ tower }) => {
+            showNotification(`${tower.name} đã được chữa khỏi!`);
+        });
+
+        sim.on('towerTreated', ({ tower, treatment }) => {
+            showNotification(`Đã dùng ${treatment.name} cho ${tower.name}.`);
+        });
+
+        sim.on('loanTaken', ({ amount, loan }) => {
+            showNotification(`Đã vay $${amount}. Trả $${loan.debt} trước khi hết đợt ${loan.dueWave}.`);
+        });
+
+        sim.on('loanRepaid', ({ amount, forced, remaining }) => {
+            if (!forced) {
+                showNotification(`Đã trả hết khoản vay $${amount}.`);
+            } else if (remaining > 0) {
+                showNotification(`Đến hạn: đã thu $${amount}, còn nợ $${remaining}, thu tiếp khi hết đợt sau.`, true);
+            } else {
+                showNotification(`Đến hạn: đã thu $${amount} tiền nợ.`, true);
+            }
+        });
+
+        sim.on('abilityActivated', ({ tower, active }) => {
+            const ability = ActiveAbilities[active.type];
+            showNotification(`${ability.icon} ${tower.name}: ${ability.label}!`);
+        });
+
+        // Keep the treatment menu of the selected tower current
+        ['towerInfected', 'infectionSpread', 'towerDisabled', 'towerCured'].forEach(type => {
+            sim.on(type, ({ tower }) => {
+                if (tower === this.gameState.selectedTower) {
+                    showTowerInfo(this.gameState, this.uiHandlers);
+                }
+            });
+        });
+
+        sim.on('gameOver', () => {
+            if (this.replayPlayer) {
+                showNotification('Bản ghi kết thúc: sâu bệnh đã thắng.', true);
+                return;
+            }
+            SaveManager.clear();
+            showGameOver();
+        });
+
+        sim.on('victory', () => {
+            if (this.replayPlayer) {
+                showNotification('Bản ghi kết thúc: mùa màng đã được bảo vệ!');
+                return;
+            }
+            SaveManager.clear();
+            setStartWaveButtonState(false);
+            showNotification('Chúc mừng! Bạn đã bảo vệ thành công mùa màng!', false);
+            showFinalReflection(this.gameState);
+        });
+
+        sim.on('commandRejected', ({ command, reason }) => {
+            if (reason === 'insufficient_funds') {
+                const message = command.type === CommandTypes.UPGRADE_TOWER ?
+                    'Không đủ tiền để nâng cấp!' :
+                    'Không đủ tiền!';
+                showNotification(message, true);
+            } else if (reason === 'invalid_placement') {
+                showNotification('Không thể đặt tháp ở đây!', true);
+            } else if (TOWER_RESTRICTION_MESSAGES[reason]) {
+                showNotification(TOWER_RESTRICTION_MESSAGES[reason], true);
+            } else if (ABILITY_MESSAGES[reason]) {
+                showNotification(ABILITY_MESSAGES[reason], true);
+            } else if (LOAN_MESSAGES[reason]) {
+                showNotification(LOAN_MESSAGES[reason], true);
+            }
+        });
+    }
+
     startGame() {
         if (this.currentState !== GameStates.MENU) return;
 
         hideMainMenu();
-        this.currentState = GameStates.WAVE_BREAK;
 
         // Ensure canvas is properly sized
         this.renderManager.resizeCanvas();
+        this.currentState = this.simulation.currentState;
 
         this.startGameLoop();
         setStartWaveButtonState(true);
+        updateWavePreview(this.gameState);
+    }
+
+    /**
+     * Recreate the menu's new game with some options changed, keeping the seed and the rest
+     */
+    updateNewGame(changes) {
+        if (this.currentState !== GameStates.MENU) return;
+
+        const simulation = this.simulation;
+        this.createSimulation({
+            seed: simulation.seed,
+            mapId: simulation.mapId,
+            endless: simulation.endless,
+            rules: simulation.rules,
+            ...changes
+        });
+    }
+
+    /**
+     * Switch the menu's new game to another map
+     */
+    selectMap(mapId) {
+        this.updateNewGame({ mapId });
+        this.renderManager.render(this.gameState);
+    }
+
+    /**
+     * Switch endless mode for the game about to start
+     */
+    setEndlessMode(endless) {
+        this.updateNewGame({ endless });
+    }
+
+    /**
+     * Pick a difficulty preset, with the player's own modifier values on top
+     */
+    setRules(difficultyId, overrides = {}) {
+        this.updateNewGame({ rules: resolveRules(this.gameData, difficultyId, overrides) });
+    }
+
+    continueGame() {
+        if (this.currentState !== GameStates.MENU) return;
+
+        const save = SaveManager.load();
+        if (!save) {
+            showNotification('Không thể tải ván đã lưu!', true);
+            return;
+        }
+
+        this.createSimulation({}, save.game);
+        this.startGame();
+        showNotification(`Tiếp tục từ đợt ${this.gameState.currentWave}`);
     }
 
     startGameLoop() {
         if (this.animationFrameId) return; // Already running
 
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop(this.lastTime);
     }
 
     gameLoop(timestamp) {
         // Calculate delta time
-        const deltaTime = Math.min((timestamp - this.lastTime) / 1000, 0.1);
+        const deltaTime = Math.min((timestamp - this.lastTime) / 1000, GameConstants.MAX_DELTA_TIME);
         this.lastTime = timestamp;
 
-        // Update game
+        // Advance the simulation in fixed steps
         if (!this.isPaused) {
             this.update(deltaTime);
         }
@@ -561,9 +798,8 @@ class GameManager {
         // Render
         this.renderManager.render(this.gameState);
 
-        // Continue loop
-        if (this.currentState !== GameStates.GAME_OVER &&
-            this.currentState !== GameStates.VICTORY) {
+        // Continue loop (replays stay open for scrubbing after the end)
+        if (!this.simulation.isFinished() || this.replayPlayer) {
             this.animationFrameId = requestAnimationFrame(this.gameLoop.bind(this));
         } else {
             this.animationFrameId = null;
@@ -573,141 +809,56 @@ class GameManager {
     update(deltaTime) {
         // Validate delta time
         if (!deltaTime || isNaN(deltaTime) || deltaTime <= 0) {
-            deltaTime = 0.016; // Default to 60fps
+            deltaTime = GameConstants.DEFAULT_DELTA_TIME;
         }
 
-        // Update based on state
-        switch (this.currentState) {
-            case GameStates.PLAYING:
-                this.updateGameplay(deltaTime);
-                break;
-            case GameStates.WAVE_BREAK:
-                // Towers still generate income during breaks
-                this.updateTowers(deltaTime);
+        // Faster speeds run more fixed steps per frame, never longer ones,
+        // so the outcome is identical at every speed
+        this.accumulator += deltaTime * this.gameSpeed;
+        while (this.accumulator >= GameConstants.FIXED_TIMESTEP && !this.simulation.isFinished()) {
+            if (this.replayPlayer && this.replayPlayer.isAtEnd()) {
+                this.isPaused = true;
                 break;
+            }
+            this.simulation.step();
+            this.accumulator -= GameConstants.FIXED_TIMESTEP;
         }
+        this.currentState = this.simulation.currentState;
 
-        // Always update UI
-        updateTopBar(this.gameState);
-    }
-
-    updateGameplay(deltaTime) {
-        // Update infection system
-        this.infectionManager.update(deltaTime);
-
-        // Update wave spawning
-        this.waveManager.update(deltaTime);
-
-        // Update towers
-        this.updateTowers(deltaTime);
-
-        // Update projectiles
-        this.updateProjectiles(deltaTime);
-
-        // Update enemies
-        this.updateEnemies(deltaTime);
-
-        // Check wave completion
-        if (this.gameState.waveInProgress && this.waveManager.isComplete()) {
-            this.waveComplete();
+        if (this.replayPlayer) {
+            updateReplayControls(this.simulation.tick, this.replayPlayer.finalTick, this.isPaused);
         }
-    }
-
-    updateTowers(deltaTime) {
-        this.gameState.towers.forEach(tower => {
-            tower.update(deltaTime, this.gameState);
-        });
-    }
-
-    updateProjectiles(deltaTime) {
-        this.gameState.projectiles.forEach(projectile => {
-            projectile.update(deltaTime, this.gameState);
-        });
 
-        // Remove inactive projectiles
-        this.gameState.projectiles = this.gameState.projectiles.filter(p => p.active);
-    }
-
-    updateEnemies(deltaTime) {
-        const enemiesToRemove = [];
-
-        this.gameState.enemies.forEach(enemy => {
-            enemy.update(deltaTime);
-
-            // Check if enemy reached end
-            if (enemy.reachedEnd) {
-                enemiesToRemove.push(enemy);
-                const gameOver = this.gameState.takeDamage();
-
-                if (gameOver) {
-                    this.gameOver();
-                }
-            }
-            // Check if enemy died
-            else if (!enemy.isAlive()) {
-                enemiesToRemove.push(enemy);
-                this.gameState.earnMoney(enemy.reward);
-                this.gameState.gameStats.enemiesKilled++;
+        // Autosave between waves
+        if (this.saveRequested) {
+            this.saveRequested = false;
+            if (!this.simulation.isFinished()) {
+                SaveManager.save(this.simulation);
             }
-        });
-
-        // Remove dead/finished enemies
-        this.gameState.enemies = this.gameState.enemies.filter(
-            enemy => !enemiesToRemove.includes(enemy)
-        );
-    }
-
-    startNextWave() {
-        if (this.currentState !== GameStates.WAVE_BREAK) return;
-
-        this.gameState.currentWave++;
-
-        if (this.gameState.currentWave > this.gameState.gameData.waves.length) {
-            this.victory();
-            return;
         }
 
-        this.gameState.waveInProgress = true;
-        this.currentState = GameStates.PLAYING;
-
-        if (this.waveManager.startWave(this.gameState.currentWave)) {
-            setStartWaveButtonState(false);
-            showNotification(`Đợt ${this.gameState.currentWave} bắt đầu!`);
-        } else {
-            console.error('Failed to start wave');
-            this.gameState.waveInProgress = false;
-            this.currentState = GameStates.WAVE_BREAK;
-        }
+        // Always update UI
+        updateTopBar(this.gameState);
+        updateSelectedTower(this.gameState);
     }
 
-    waveComplete() {
-        this.gameState.waveInProgress = false;
-        this.currentState = GameStates.WAVE_BREAK;
-
-        showWaveSummary(this.gameState);
-
-        if (this.gameState.currentWave >= this.gameState.gameData.waves.length) {
-            this.victory();
-        } else {
-            setStartWaveButtonState(true);
+    /**
+     * Run a player command; ignored while watching a replay
+     */
+    executeCommand(command) {
+        if (this.replayPlayer) {
+            return { ok: false, reason: 'replay' };
         }
+        return this.simulation.execute(command);
     }
 
-    gameOver() {
-        this.currentState = GameStates.GAME_OVER;
-        this.infectionManager.stop();
-        showGameOver();
-    }
-
-    victory() {
-        this.currentState = GameStates.VICTORY;
-        this.infectionManager.stop();
-        showNotification('Chúc mừng! Bạn đã bảo vệ thành công mùa màng!', false);
-        showFinalReflection(this.gameState);
+    startNextWave() {
+        this.executeCommand({ type: CommandTypes.START_WAVE });
+        this.currentState = this.simulation.currentState;
     }
 
     selectTowerToPlace(towerId) {
-        if (!towerId) {
+        if (!towerId || this.replayPlayer) {
             this.cancelTowerPlacement();
             return;
         }
@@ -715,7 +866,10 @@ class GameManager {
         const towerData = this.gameState.gameData.towers.find(t => t.id === towerId);
         if (!towerData) return;
 
-        if (this.gameState.canAfford(towerData.cost_place)) {
+        const restriction = this.gameState.getTowerRestriction(towerData);
+        if (restriction) {
+            showNotification(TOWER_RESTRICTION_MESSAGES[restriction], true);
+        } else if (this.gameState.canAfford(towerData.cost_place)) {
             this.gameState.placingTowerType = towerId;
             this.gameState.selectedTower = null;
             updateTowerSelection(towerId);
@@ -734,126 +888,197 @@ class GameManager {
     placeTower(x, y) {
         if (!this.gameState.placingTowerType) return;
 
-        const towerData = this.gameState.gameData.towers.find(
-            t => t.id === this.gameState.placingTowerType
-        );
-        if (!towerData) return;
-
-        if (this.canPlaceTowerAt(x, y) && this.gameState.purchase(towerData.cost_place)) {
-            // Create tower
-            const tower = new Tower(x, y, this.gameState.placingTowerType, this.gameState.gameData);
-            this.gameState.towers.push(tower);
-            this.gameState.gameStats.towersPlaced++;
-
-            // Update all towers (for buff calculations)
-            this.gameState.towers.forEach(t => t.applyStats(this.gameState.towers));
+        const result = this.executeCommand({
+            type: CommandTypes.PLACE_TOWER,
+            towerId: this.gameState.placingTowerType,
+            x,
+            y
+        });
 
+        if (result.ok) {
             // Select the new tower
-            this.gameState.selectedTower = tower;
+            this.gameState.selectedTower = result.tower;
             this.cancelTowerPlacement();
 
             showTowerInfo(this.gameState, this.uiHandlers);
             updateTopBar(this.gameState);
-        } else {
-            showNotification('Không thể đặt tháp ở đây!', true);
         }
     }
 
     canPlaceTowerAt(x, y) {
-        // Check bounds
-        if (x < 20 || x > this.canvas.width - 20 || y < 20 || y > this.canvas.height - 20) {
-            return false;
-        }
-
-        // Check distance from path
-        for (let i = 0; i < path.length - 1; i++) {
-            if (isPointNearLine({ x, y }, path[i], path[i + 1], 45)) {
-                return false;
-            }
-        }
-
-        // Check distance from other towers
-        for (const tower of this.gameState.towers) {
-            if (Math.hypot(x - tower.x, y - tower.y) < 40) {
-                return false;
-            }
-        }
-
-        return true;
+        return this.simulation.canPlaceTowerAt(x, y);
     }
 
     selectTowerAt(x, y) {
-        const tower = this.gameState.towers.find(t =>
-            Math.hypot(x - t.x, y - t.y) < 25
-        );
+        const tower = this.findTowerAt(x, y);
 
         this.gameState.selectedTower = tower || null;
         showTowerInfo(this.gameState, this.uiHandlers);
     }
 
-    upgradeTower(tower) {
+    findTowerAt(x, y) {
+        return this.gameState.towers.find(t =>
+            Math.hypot(x - t.x, y - t.y) < GameConstants.TOWER_HIT_RADIUS
+        );
+    }
+
+    upgradeTower(tower, pathId = null) {
         if (!tower) return;
 
-        const towerData = this.gameState.gameData.towers.find(t => t.id === tower.id);
-        if (!towerData || tower.level >= towerData.upgrades.length) return;
+        const result = this.executeCommand({
+            type: CommandTypes.UPGRADE_TOWER,
+            towerUid: tower.uid,
+            pathId
+        });
 
-        const upgradeCost = towerData.upgrades[tower.level].cost;
+        if (result.ok) {
+            showTowerInfo(this.gameState, this.uiHandlers);
+            updateTopBar(this.gameState);
+        }
+    }
+
+    sellTower(tower) {
+        if (!tower) return;
+
+        this.executeCommand({ type: CommandTypes.SELL_TOWER, towerUid: tower.uid });
+
+        showTowerInfo(this.gameState, this.uiHandlers);
+        updateTopBar(this.gameState);
+    }
 
-        if (this.gameState.purchase(upgradeCost)) {
-            tower.upgrade(this.gameState.towers);
-            this.gameState.gameStats.towersUpgraded++;
+    setTowerTargeting(tower, mode) {
+        if (!tower) return;
+
+        this.executeCommand({ type: CommandTypes.SET_TARGETING, towerUid: tower.uid, mode });
+        showTowerInfo(this.gameState, this.uiHandlers);
+    }
+
+    treatTower(tower, treatmentId) {
+        if (!tower) return;
 
-            // Reapply buffs to all towers
-            this.gameState.towers.forEach(t => t.applyStats(this.gameState.towers));
+        const result = this.executeCommand({ type: CommandTypes.TREAT_TOWER, towerUid: tower.uid, treatmentId });
 
+        if (result.ok) {
             showTowerInfo(this.gameState, this.uiHandlers);
             updateTopBar(this.gameState);
-        } else {
-            showNotification('Không đủ tiền để nâng cấp!', true);
         }
     }
 
-    sellTower(tower) {
+    activateAbility(tower) {
         if (!tower) return;
 
-        const sellValue = Math.floor(tower.totalCost * 0.7);
-        this.gameState.earnMoney(sellValue);
+        const result = this.executeCommand({ type: CommandTypes.ACTIVATE_ABILITY, towerUid: tower.uid });
 
-        // Remove tower
-        const index = this.gameState.towers.indexOf(tower);
-        if (index > -1) {
-            this.gameState.towers.splice(index, 1);
+        if (result.ok) {
+            updateTopBar(this.gameState);
         }
+    }
 
-        // Clear selection if this was selected
-        if (this.gameState.selectedTower === tower) {
-            this.gameState.selectedTower = null;
+    takeLoan() {
+        if (this.executeCommand({ type: CommandTypes.TAKE_LOAN }).ok) {
+            updateTopBar(this.gameState);
         }
+    }
 
-        // Reapply buffs to remaining towers
-        this.gameState.towers.forEach(t => t.applyStats(this.gameState.towers));
-
-        showTowerInfo(this.gameState, this.uiHandlers);
-        updateTopBar(this.gameState);
+    repayLoan() {
+        if (this.executeCommand({ type: CommandTypes.REPAY_LOAN }).ok) {
+            updateTopBar(this.gameState);
+        }
     }
 
     tryClickCure(x, y) {
         const tower = this.gameState.towers.find(t =>
-            Math.hypot(x - t.x, y - t.y) < 25 && t.isInfected
+            Math.hypot(x - t.x, y - t.y) < GameConstants.TOWER_HIT_RADIUS && t.isInfected
         );
 
         if (tower) {
-            tower.handleClickCure(this.gameState);
+            this.executeCommand({ type: CommandTypes.CURE_TOWER, towerUid: tower.uid });
         }
     }
 
+    setGameSpeed(speed) {
+        if (!GameConstants.GAME_SPEEDS.includes(speed)) return;
+
+        this.gameSpeed = speed;
+        updateSpeedControls(speed);
+    }
+
     togglePause() {
-        if (this.currentState === GameStates.PLAYING) {
+        if (this.replayPlayer) {
+            // Playing again from the end restarts the replay
+            if (this.isPaused && this.replayPlayer.isAtEnd()) {
+                this.seekReplay(0);
+            }
+            this.isPaused = !this.isPaused;
+            updateReplayControls(this.simulation.tick, this.replayPlayer.finalTick, this.isPaused);
+            return;
+        }
+
+        if (this.simulation.currentState === GameStates.PLAYING) {
             this.isPaused = !this.isPaused;
             showNotification(this.isPaused ? 'Tạm dừng' : 'Tiếp tục', false);
         }
     }
 
+    exportReplay() {
+        let replay;
+        try {
+            replay = this.replayPlayer ?
+                this.replayPlayer.replay :
+                ReplayManager.create(this.simulation);
+        } catch (error) {
+            console.warn('Failed to export replay:', error);
+            showNotification('Không thể xuất bản ghi của ván đã dùng mã gian lận!', true);
+            return;
+        }
+        ReplayManager.download(replay);
+    }
+
+    /**
+     * Open a replay file from the main menu and start playback
+     */
+    loadReplay(text) {
+        if (this.currentState !== GameStates.MENU) return;
+
+        let replay;
+        try {
+            replay = ReplayManager.parse(text, this.gameData);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            showNotification('Không thể mở bản ghi!', true);
+            return;
+        }
+
+        this.replayPlayer = new ReplayPlayer(replay, this.gameData);
+        this.simulation = this.replayPlayer.createSimulation();
+        this.bindSimulationEvents();
+
+        showReplayControls(replay.finalTick);
+        this.startGame();
+        setStartWaveButtonState(false);
+    }
+
+    seekReplay(tick) {
+        if (!this.replayPlayer) return;
+
+        this.isSeeking = true;
+        const rebuilt = this.replayPlayer.seek(tick);
+        this.isSeeking = false;
+
+        if (rebuilt) {
+            this.simulation = this.replayPlayer.simulation;
+            this.bindSimulationEvents();
+        }
+
+        this.accumulator = 0;
+        this.currentState = this.simulation.currentState;
+        this.gameState.selectedTower = null;
+        showTowerInfo(this.gameState, this.uiHandlers);
+        updateTopBar(this.gameState);
+        updateWavePreview(this.gameState);
+        updateReplayControls(this.simulation.tick, this.replayPlayer.finalTick, this.isPaused);
+    }
+
     cleanup() {
         // Cancel animation frame
         if (this.animationFrameId) {
@@ -864,7 +1089,6 @@ class GameManager {
         // Clean up managers
         if (this.inputManager) this.inputManager.cleanup();
         if (this.renderManager) this.renderManager.cleanup();
-        this.infectionManager.stop();
     }
 }
 
@@ -0,0 +1,171 @@
+// maps.js - Data-driven maps
+// Maps are defined in data.json with normalized (0-1) coordinates and scaled to the world size
+
+import { GameConstants, GeometryUtils } from './config.js';
+
+/**
+ * One route from an entrance to the exit. Forks are lanes that share
+ * their first waypoints; merging lanes share their last ones.
+ */
+export class Lane {
+    constructor(id, waypointCount) {
+        this.id = id;
+        this.path = Array.from({ length: waypointCount }, () => ({ x: 0, y: 0 }));
+        // Distance from the entrance to each waypoint
+        this.distances = new Array(waypointCount).fill(0);
+        this.length = 0;
+    }
+
+    /**
+     * Rescale from normalized waypoints. Points are updated in place so
+     * enemies holding the lane keep a valid reference.
+     */
+    resize(waypoints, width, height) {
+        waypoints.forEach((point, i) => {
+            this.path[i].x = point.x * width;
+            this.path[i].y = point.y * height;
+        });
+        this.measure();
+    }
+
+    measure() {
+        for (let i = 1; i < this.path.length; i++) {
+            this.distances[i] = this.distances[i - 1] + GeometryUtils.distance(this.path[i], this.path[i - 1]);
+        }
+        this.length = this.distances[this.path.length - 1];
+    }
+
+    /**
+     * Get position along the lane at given progress (0-1)
+     */
+    getPositionAtProgress(progress) {
+        const path = this.path;
+        const targetDistance = this.length * progress;
+
+        for (let i = 1; i < path.length; i++) {
+            if (this.distances[i] >= targetDistance) {
+                const segmentLength = this.distances[i] - this.distances[i - 1];
+                const segmentProgress = segmentLength > 0 ?
+                    (targetDistance - this.distances[i - 1]) / segmentLength : 0;
+                return {
+                    x: path[i - 1].x + (path[i].x - path[i - 1].x) * segmentProgress,
+                    y: path[i - 1].y + (path[i].y - path[i - 1].y) * segmentProgress,
+                    segmentIndex: i - 1
+                };
+            }
+        }
+
+        // Return end position if progress >= 1
+        return {
+            x: path[path.length - 1].x,
+            y: path[path.length - 1].y,
+            segmentIndex: path.length - 1
+        };
+    }
+}
+
+/**
+ * A playable map: enemy lanes, blocked zones and background, in world pixels
+ */
+export class GameMap {
+    /**
+     * @param {Object} mapData - Entry from data.json `maps`
+     * @param {number} width - World width in pixels
+     * @param {number} height - World height in pixels
+     */
+    constructor(mapData, width, height) {
+        this.id = mapData.id;
+        this.name = mapData.name;
+        this.background = mapData.background;
+        this.mapData = mapData;
+
+        // A plain `waypoints` map is a single lane. Each map owns its own
+        // waypoint objects, so resizing never touches the data.
+        this.laneData = mapData.lanes || [{ id: 'main', waypoints: mapData.waypoints }];
+        this.lanes = this.laneData.map(lane => new Lane(lane.id, lane.waypoints.length));
+        // Flying enemies go straight from a lane's entrance to the exit
+        this.airRoutes = this.lanes.map(lane => new Lane(lane.id, 2));
+        this.blockedZones = (mapData.blocked_zones || []).map(zone => ({
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            color: zone.color || null,
+            label: zone.label || null
+        }));
+
+        this.resize(width, height);
+    }
+
+    /**
+     * Find a map by id, falling back to the first map
+     */
+    static fromGameData(gameData, mapId, width, height) {
+        const mapData = gameData.maps.find(m => m.id === mapId) || gameData.maps[0];
+        return new GameMap(mapData, width, height);
+    }
+
+    /**
+     * Rescale to a new world size
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.laneData.forEach((lane, i) => {
+            const waypoints = lane.waypoints;
+            this.lanes[i].resize(waypoints, width, height);
+            this.airRoutes[i].resize([waypoints[0], waypoints[waypoints.length - 1]], width, height);
+        });
+
+        (this.mapData.blocked_zones || []).forEach((zone, i) => {
+            Object.assign(this.blockedZones[i], {
+                x: zone.x * width,
+                y: zone.y * height,
+                width: zone.width * width,
+                height: zone.height * height
+            });
+        });
+    }
+
+    getLane(laneId) {
+        return this.lanes.find(lane => lane.id === laneId) || null;
+    }
+
+    /**
+     * Lane for a new enemy: the requested one, or a random branch
+     * @param {string} [laneId] - Lane id from the wave data, or "random"
+     * @param {SeededRandom} rng - Only drawn from when there is a choice
+     */
+    chooseLane(laneId, rng) {
+        const lane = this.getLane(laneId);
+        if (lane) return lane;
+        return this.lanes.length === 1 ? this.lanes[0] : rng.pick(this.lanes);
+    }
+
+    /**
+     * Route an enemy takes from a lane: the lane itself, or the straight
+     * line from its entrance to the exit for flying enemies
+     */
+    getRoute(lane, movement = 'ground') {
+        if (movement !== 'air') return lane;
+        return this.airRoutes[this.lanes.indexOf(lane)];
+    }
+
+    /**
+     * Check if point is near any segment of any lane
+     */
+    isPointNearPath(point, clearance = GameConstants.PATH_CLEARANCE) {
+        return this.lanes.some(lane => GeometryUtils.isPointNearPath(point, lane.path, clearance));
+    }
+
+    /**
+     * Check if a tower footprint at point overlaps a blocked zone
+     */
+    isPointBlocked(point, radius = GameConstants.TOWER_RADIUS) {
+        return this.blockedZones.some(zone =>
+            point.x > zone.x - radius && point.x < zone.x + zone.width + radius &&
+            point.y > zone.y - radius && point.y < zone.y + zone.height + radius
+        );
+    }
+}
@@ -0,0 +1,79 @@
+// random.js - Seeded pseudo-random number generation
+// Every random decision in the simulation draws from here so a run can be reproduced from its seed
+
+/**
+ * Create a fresh seed for a new game
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Turn a user-supplied seed (number or any text) into a 32-bit seed
+ * @returns {number|null} Null if the value is empty
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash so words like "lop10a" work as seeds too
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small, fast seeded PRNG (mulberry32)
+ */
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(items) {
+        if (items.length === 0) return undefined;
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * Internal state, for saving and restoring a run mid-game
+     */
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
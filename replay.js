@@ -0,0 +1,163 @@
+// replay.js - Replay recording export and playback
+// A replay is the seed plus every player command with its tick; the
+// deterministic simulation rebuilds the whole game from that
+
+import { Simulation } from './simulation.js';
+import { SaveManager, SAVE_VERSION } from './storage.js';
+
+const REPLAY_FORMAT = 'tatd-replay';
+
+/**
+ * Current replay file version
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Replay file creation, parsing and download
+ */
+export class ReplayManager {
+    /**
+     * Build a replay of the game so far
+     * @throws {Error} If cheats changed the game, since playback could not reproduce it
+     */
+    static create(simulation) {
+        if (simulation.cheated) {
+            throw new Error('Cannot record a replay of a game changed by cheats');
+        }
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            dataVersion: simulation.state.gameData.version || 0,
+            recordedAt: new Date().toISOString(),
+            seed: simulation.seed,
+            mapId: simulation.mapId,
+            endless: simulation.endless,
+            rules: { ...simulation.rules },
+            bounds: { ...simulation.bounds },
+            start: simulation.startSnapshot,
+            startVersion: SAVE_VERSION,
+            commands: simulation.commandLog.map(command => ({ ...command })),
+            finalTick: simulation.tick,
+            result: {
+                state: simulation.currentState,
+                wave: simulation.state.currentWave,
+                lives: simulation.state.lives
+            }
+        };
+    }
+
+    /**
+     * Parse and check a replay file
+     * @param {string} text
+     * @param {Object} gameData - Parsed data.json the replay will be played with
+     * @throws {Error} If the text is not a usable replay
+     */
+    static parse(text, gameData) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Replay file is not valid JSON');
+        }
+
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than this game`);
+        }
+        if (!Array.isArray(replay.commands) || typeof replay.finalTick !== 'number') {
+            throw new Error('Replay file is incomplete');
+        }
+        // Different tower or wave data would play the same commands out differently
+        const dataVersion = gameData.version || 0;
+        if ((replay.dataVersion || 0) !== dataVersion) {
+            throw new Error(`Replay was recorded with game data version ${replay.dataVersion || 0}, this game uses ${dataVersion}`);
+        }
+
+        // A resumed game starts from a save snapshot, migrated like a save.
+        // Version 1 replays did not record which save version that was.
+        if (replay.start) {
+            if (typeof replay.startVersion !== 'number') {
+                throw new Error('Replay of a resumed game predates versioned start snapshots');
+            }
+            replay.start = SaveManager.migrate({ version: replay.startVersion, game: replay.start }).game;
+            replay.startVersion = SAVE_VERSION;
+        }
+
+        return replay;
+    }
+
+    /**
+     * Offer the replay as a JSON file download
+     */
+    static download(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = replay.recordedAt.replace(/[:.]/g, '-');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tatd-replay-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Drives a simulation from a replay, with seeking
+ */
+export class ReplayPlayer {
+    constructor(replay, gameData) {
+        this.replay = replay;
+        this.gameData = gameData;
+        this.simulation = null;
+    }
+
+    get finalTick() {
+        return this.replay.finalTick;
+    }
+
+    /**
+     * Fresh simulation positioned at the start of the replay
+     */
+    createSimulation() {
+        const options = {
+            seed: this.replay.seed,
+            mapId: this.replay.mapId,
+            endless: this.replay.endless || false,
+            rules: this.replay.rules || null,
+            bounds: this.replay.bounds,
+            commands: this.replay.commands
+        };
+
+        this.simulation = this.replay.start ?
+            Simulation.fromSnapshot(this.gameData, this.replay.start, options) :
+            new Simulation(this.gameData, options);
+        return this.simulation;
+    }
+
+    isAtEnd() {
+        return this.simulation.tick >= this.finalTick || this.simulation.isFinished();
+    }
+
+    /**
+     * Move playback to a tick. Going backwards replays from the start.
+     * @returns {boolean} Whether a new simulation had to be created
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(tick, this.finalTick));
+        let rebuilt = false;
+
+        if (target < this.simulation.tick) {
+            this.createSimulation();
+            rebuilt = true;
+        }
+
+        this.simulation.run(target - this.simulation.tick);
+        return rebuilt;
+    }
+}
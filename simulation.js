@@ -0,0 +1,1024 @@
+// simulation.js - Headless, deterministic game simulation
+// Steps the game with a fixed timestep and reports what happens through events,
+// so the same rules run in the browser and in Node without a canvas
+
+import { GameConstants } from './config.js';
+import { Enemy, Tower } from './entities.js';
+import { GameMap } from './maps.js';
+import { SeededRandom } from './random.js';
+import { getWeatherForWave, weatherMultiplier, spawnCount } from './weather.js';
+import { generateWave } from './waves.js';
+import { resolveRules } from './difficulty.js';
+import { emptyIncome, waveBonus, interestOn, loanDebt } from './economy.js';
+
+// Game states enum
+export const GameStates = {
+    LOADING: 'loading',
+    MENU: 'menu',
+    PLAYING: 'playing',
+    WAVE_BREAK: 'wave_break',
+    PAUSED: 'paused',
+    GAME_OVER: 'game_over',
+    VICTORY: 'victory'
+};
+
+// Player command types accepted by Simulation.execute()
+export const CommandTypes = {
+    PLACE_TOWER: 'place',
+    UPGRADE_TOWER: 'upgrade',
+    SELL_TOWER: 'sell',
+    CURE_TOWER: 'cure',
+    TREAT_TOWER: 'treat',
+    ACTIVATE_ABILITY: 'activate',
+    TAKE_LOAN: 'take_loan',
+    REPAY_LOAN: 'repay_loan',
+    SET_TARGETING: 'set_targeting',
+    START_WAVE: 'start_wave'
+};
+
+/**
+ * Minimal event bus used to report simulation events
+ */
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event type ('*' receives every event)
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    emit(event) {
+        for (const key of [event.type, '*']) {
+            const listeners = this.listeners.get(key);
+            if (listeners) listeners.forEach(listener => listener(event));
+        }
+    }
+}
+
+/**
+ * Main game state management
+ */
+export class GameState {
+    constructor() {
+        this.events = new EventBus();
+        this.reset();
+    }
+
+    reset() {
+        // Game data
+        this.gameData = null;
+
+        // Simulation clock and randomness
+        this.tick = 0;
+        this.seed = 0;
+        this.rng = new SeededRandom(0);
+
+        // Resources
+        this.money = 500;
+        this.lives = 20;
+        this.startLives = 20;
+        // Outstanding loan: { debt, dueWave }
+        this.loan = null;
+        // Income by source since the current or last wave started
+        this.waveIncome = emptyIncome();
+
+        // Difficulty and rule modifiers, see resolveRules()
+        this.rules = null;
+
+        // Wave management
+        this.currentWave = 0;
+        this.waveInProgress = false;
+        // Endless mode generates waves past the authored list
+        this.endless = false;
+
+        // Active map
+        this.map = null;
+
+        // Entities
+        this.enemies = [];
+        this.towers = [];
+        this.projectiles = [];
+        this.nextTowerUid = 1;
+        // Snapshots of sold towers, kept for the end-of-game statistics
+        this.soldTowers = [];
+
+        // Selection state
+        this.selectedTower = null;
+        this.placingTowerType = null;
+
+        // Input state
+        this.mousePos = { x: 0, y: 0 };
+        this.validPlacement = false;
+
+        // Statistics
+        this.gameStats = {
+            moneyEarned: 0,
+            towersPlaced: 0,
+            towersUpgraded: 0,
+            infectionsTotal: 0,
+            infectionsCured: 0,
+            // Times each treatment option was chosen, by treatment id
+            treatmentsUsed: {},
+            // Sum of the environmental penalties of the treatments chosen
+            environmentImpact: 0,
+            enemiesKilled: 0,
+            damageDealt: {},
+            // Money earned over the game, by source (see IncomeSources)
+            income: emptyIncome()
+        };
+    }
+
+    initialize(gameData, seed = 0, rules = resolveRules(gameData)) {
+        this.gameData = gameData;
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.rules = rules;
+        this.money = Math.round(gameData.game_settings.start_money * rules.start_money_multiplier);
+        this.lives = Math.max(1, Math.round(gameData.game_settings.start_lives * rules.start_lives_multiplier));
+        this.startLives = this.lives;
+        this.gameStats.moneyEarned = this.money;
+
+        // Initialize damage tracking
+        gameData.towers.forEach(tower => {
+            this.gameStats.damageDealt[tower.id] = 0;
+        });
+    }
+
+    /**
+     * Report a simulation event, stamped with the current tick
+     */
+    emit(type, payload = {}) {
+        this.events.emit({ type, tick: this.tick, ...payload });
+    }
+
+    /**
+     * @param {number} amount
+     * @param {string} [source] - Key of IncomeSources, for the income breakdown
+     */
+    earnMoney(amount, source = 'other') {
+        this.money += amount;
+        this.gameStats.moneyEarned += amount;
+        this.gameStats.income[source] = (this.gameStats.income[source] || 0) + amount;
+        this.waveIncome[source] = (this.waveIncome[source] || 0) + amount;
+    }
+
+    /**
+     * Treatment options from infection_mechanic, offered whenever data.json defines them
+     */
+    get treatments() {
+        return this.gameData?.game_settings.infection_mechanic?.treatments || [];
+    }
+
+    /**
+     * Optional economy rules from game_settings.economy, each only when its
+     * `economy_<key>` rule modifier is on
+     */
+    get economy() {
+        const economy = this.gameData?.game_settings.economy || {};
+        return Object.fromEntries(Object.entries(economy).filter(([key]) => this.rules?.[`economy_${key}`]));
+    }
+
+    takeDamage(amount = 1) {
+        this.lives = Math.max(0, this.lives - amount);
+        return this.lives <= 0;
+    }
+
+    canAfford(cost) {
+        return this.money >= cost;
+    }
+
+    purchase(cost) {
+        if (this.canAfford(cost)) {
+            this.money -= cost;
+            return true;
+        }
+        return false;
+    }
+
+    findTower(uid) {
+        return this.towers.find(tower => tower.uid === uid) || null;
+    }
+
+    /**
+     * Why the rules forbid building another tower of this kind
+     * @returns {string|null} Rejection reason, or null if it may be built
+     */
+    getTowerRestriction(towerData) {
+        if (this.rules.no_eco && towerData.type === 'eco') return 'tower_not_allowed';
+        if (this.rules.max_towers > 0 && this.towers.length >= this.rules.max_towers) return 'tower_limit';
+        return null;
+    }
+
+    /**
+     * Wave data for a wave number: authored in data.json, or generated in endless mode
+     * @returns {Object|null} Null past the last wave of a normal game
+     */
+    getWaveData(waveNumber) {
+        const wave = this.gameData.waves[waveNumber - 1];
+        if (wave) return wave;
+        if (!this.endless || waveNumber < 1 || !this.gameData.game_settings.endless) return null;
+        return generateWave(this.gameData, waveNumber, this.seed);
+    }
+
+    /**
+     * Weather of the current wave, which lasts through the break after it
+     */
+    get weather() {
+        return getWeatherForWave(this.gameData, this.currentWave);
+    }
+}
+
+/**
+ * Manages wave spawning and progression
+ */
+export class WaveManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.spawnQueue = [];
+        this.spawnTimer = 0;
+    }
+
+    startWave(waveNumber) {
+        const waveData = this.gameState.getWaveData(waveNumber);
+        if (!waveData) return false;
+
+        this.spawnQueue = [];
+
+        // The wave's weather can bring more or fewer pests
+        const weather = getWeatherForWave(this.gameState.gameData, waveNumber);
+
+        // Build spawn queue
+        waveData.composition.forEach(group => {
+            const enemyData = this.gameState.gameData.enemies.find(
+                e => e.id === group.enemy_id
+            );
+            if (!enemyData) return;
+
+            const count = spawnCount(group, weather);
+            for (let i = 0; i < count; i++) {
+                this.spawnQueue.push({
+                    enemyData: enemyData,
+                    laneId: group.lane,
+                    spawnTime: i * (group.interval_ms / 1000)
+                });
+            }
+        });
+
+        this.spawnTimer = 0;
+        return true;
+    }
+
+    update(deltaTime) {
+        if (this.spawnQueue.length === 0) return;
+
+        this.spawnTimer += deltaTime;
+
+        // Spawn enemies whose time has come
+        while (this.spawnQueue.length > 0 && this.spawnQueue[0].spawnTime <= this.spawnTimer) {
+            const spawn = this.spawnQueue.shift();
+            const map = this.gameState.map;
+            const lane = map.chooseLane(spawn.laneId, this.gameState.rng);
+            const route = map.getRoute(lane, spawn.enemyData.movement);
+            const enemy = new Enemy(spawn.enemyData, route);
+            enemy.setSpeedModifier(weatherMultiplier(this.gameState.weather, 'enemy_speed_pct'));
+            enemy.setHpMultiplier(this.gameState.rules.enemy_hp_multiplier);
+            this.gameState.enemies.push(enemy);
+        }
+    }
+
+    isComplete() {
+        return this.spawnQueue.length === 0 && this.gameState.enemies.length === 0;
+    }
+}
+
+/**
+ * Manages the infection mechanic: new outbreaks, and, when the game's rules
+ * turn them on, spread to neighbours and escalation of infections left untreated
+ */
+export class InfectionManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.timer = 0;
+        this.interval = 0;
+        this.enabled = false;
+        this.settings = null;
+        // Settings of the optional rules, null when the game's rules leave them off
+        this.spread = null;
+        this.escalation = null;
+    }
+
+    initialize() {
+        const settings = this.gameState.gameData.game_settings.infection_mechanic;
+        const rules = this.gameState.rules;
+        if (!settings || !rules.infection_enabled) return;
+
+        this.settings = settings;
+        this.spread = rules.infection_spread ? settings.spread || null : null;
+        this.escalation = rules.infection_escalation ? settings.escalation || null : null;
+        this.interval = settings.every_s * rules.infection_interval_multiplier;
+        this.timer = 0;
+        this.enabled = true;
+    }
+
+    update(deltaTime) {
+        if (!this.enabled || !this.gameState.waveInProgress) return;
+
+        this.timer += deltaTime;
+
+        // Wet weather breeds disease faster
+        const interval = this.interval * weatherMultiplier(this.gameState.weather, 'infection_interval_pct');
+        if (this.timer >= interval) {
+            this.timer = 0;
+            this.infectRandomTower();
+        }
+
+        this.updateInfections(deltaTime);
+    }
+
+    /**
+     * Age every untreated infection, escalating and spreading it when due.
+     * An infection being cured is held where it is until the cure lands.
+     */
+    updateInfections(deltaTime) {
+        const { spread, escalation } = this;
+        if (!spread && !escalation) return;
+
+        // Towers infected this step start ageing next step
+        const infected = this.gameState.towers.filter(t => t.isInfected && !t.isBeingTreated);
+        infected.forEach(tower => {
+            const infection = tower.infection;
+            infection.age += deltaTime;
+
+            if (escalation && infection.severity < 2 && infection.age >= escalation.disable_after_s) {
+                tower.escalateInfection(this.gameState.towers);
+                this.gameState.emit('towerDisabled', { tower });
+            }
+
+            if (spread && infection.age >= infection.nextSpreadAt) {
+                infection.nextSpreadAt += spread.after_s;
+                this.spreadFrom(tower, spread);
+            }
+        });
+    }
+
+    /**
+     * Infect the healthy neighbours of a tower, unless a quarantine tower covers them
+     */
+    spreadFrom(source, spread) {
+        const towers = this.gameState.towers;
+        const neighbours = towers.filter(t =>
+            t !== source &&
+            t.canBeInfected &&
+            Math.hypot(t.x - source.x, t.y - source.y) <= spread.radius &&
+            !this.isQuarantined(t, spread)
+        );
+
+        neighbours.forEach(tower => {
+            tower.infect(towers);
+            this.gameState.gameStats.infectionsTotal++;
+            this.gameState.emit('infectionSpread', { tower, source });
+        });
+    }
+
+    /**
+     * A tower is quarantined when it is a quarantine tower, or within the range of one
+     */
+    isQuarantined(tower, spread) {
+        const barriers = spread.quarantine_towers || [];
+        if (barriers.includes(tower.id)) return true;
+
+        return this.gameState.towers.some(t =>
+            barriers.includes(t.id) &&
+            !t.isInfected &&
+            tower.isInRange(t, t.baseStats.range)
+        );
+    }
+
+    infectRandomTower() {
+        const eligible = this.gameState.towers.filter(t => t.canBeInfected);
+
+        if (eligible.length === 0) return;
+
+        const tower = this.gameState.rng.pick(eligible);
+        tower.infect(this.gameState.towers);
+        this.gameState.gameStats.infectionsTotal++;
+        this.gameState.emit('towerInfected', { tower });
+    }
+
+    stop() {
+        this.enabled = false;
+        this.timer = 0;
+    }
+}
+
+/**
+ * Deterministic simulation of one game.
+ *
+ * Player input arrives as commands (see CommandTypes), either executed
+ * immediately or queued with the tick they should run on. Nothing here
+ * touches the DOM; subscribe with on() to react to what happens.
+ *
+ * @example
+ * const sim = new Simulation(gameData, { seed: 42, commands });
+ * sim.on('waveCompleted', e => console.log(e.wave, sim.state.lives));
+ * sim.runUntilFinished();
+ */
+export class Simulation {
+    /**
+     * @param {Object} gameData - Parsed data.json
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Seed for every random decision
+     * @param {string} [options.mapId] - Map to play, defaults to the first in data.json
+     * @param {boolean} [options.endless] - Keep generating waves after the last authored one
+     * @param {Object} [options.rules] - Difficulty rules from resolveRules(), defaults to the normal preset
+     * @param {Array<Object>} [options.commands] - Commands to run, each with a `tick`
+     * @param {{width: number, height: number}} [options.bounds] - World size, defaults to GameConstants.WORLD_WIDTH/HEIGHT
+     */
+    constructor(gameData, { seed = 0, mapId = null, endless = false, rules = null, commands = [], bounds = null } = {}) {
+        this.bounds = bounds || { width: GameConstants.WORLD_WIDTH, height: GameConstants.WORLD_HEIGHT };
+
+        this.state = new GameState();
+        // Rules from saves, replays and the menu are checked against the modifiers' bounds again
+        this.state.initialize(gameData, seed, resolveRules(gameData, rules?.difficulty, rules || {}));
+        this.state.endless = endless;
+        this.state.map = GameMap.fromGameData(gameData, mapId, this.bounds.width, this.bounds.height);
+        this.waveManager = new WaveManager(this.state);
+        this.infectionManager = new InfectionManager(this.state);
+        this.infectionManager.initialize();
+
+        this.currentState = GameStates.WAVE_BREAK;
+        this.commandQueue = [];
+        commands.forEach(command => this.queueCommand(command));
+
+        // Every executed command with its tick, for replays
+        this.commandLog = [];
+        this.startSnapshot = null;
+        // Set when state was changed outside the command queue, which a replay cannot reproduce
+        this.cheated = false;
+    }
+
+    get seed() {
+        return this.state.seed;
+    }
+
+    get tick() {
+        return this.state.tick;
+    }
+
+    get time() {
+        return this.state.tick * GameConstants.FIXED_TIMESTEP;
+    }
+
+    on(type, listener) {
+        return this.state.events.on(type, listener);
+    }
+
+    get mapId() {
+        return this.state.map.id;
+    }
+
+    get endless() {
+        return this.state.endless;
+    }
+
+    get rules() {
+        return this.state.rules;
+    }
+
+    isFinished() {
+        return this.currentState === GameStates.GAME_OVER ||
+               this.currentState === GameStates.VICTORY;
+    }
+
+    /**
+     * Plain-data copy of the game for save files. Taken between waves,
+     * so enemies, projectiles and spawn queues are not included.
+     */
+    toSnapshot() {
+        const state = this.state;
+        return {
+            seed: state.seed,
+            mapId: state.map.id,
+            endless: state.endless,
+            rules: { ...state.rules },
+            bounds: { ...this.bounds },
+            rngState: state.rng.getState(),
+            tick: state.tick,
+            money: state.money,
+            lives: state.lives,
+            loan: state.loan ? { ...state.loan } : null,
+            currentWave: state.currentWave,
+            nextTowerUid: state.nextTowerUid,
+            infectionTimer: this.infectionManager.timer,
+            towers: state.towers.map(tower => tower.toSnapshot()),
+            soldTowers: JSON.parse(JSON.stringify(state.soldTowers)),
+            gameStats: JSON.parse(JSON.stringify(state.gameStats))
+        };
+    }
+
+    /**
+     * Resume a game from a snapshot made by toSnapshot()
+     */
+    static fromSnapshot(gameData, snapshot, options = {}) {
+        const sim = new Simulation(gameData, {
+            ...options,
+            seed: snapshot.seed,
+            mapId: snapshot.mapId,
+            endless: snapshot.endless || false,
+            rules: snapshot.rules,
+            bounds: snapshot.bounds || options.bounds
+        });
+        const state = sim.state;
+
+        state.rng.setState(snapshot.rngState);
+        state.tick = snapshot.tick;
+        state.money = snapshot.money;
+        state.lives = snapshot.lives;
+        state.loan = snapshot.loan;
+        state.currentWave = snapshot.currentWave;
+        state.nextTowerUid = snapshot.nextTowerUid;
+        sim.infectionManager.timer = snapshot.infectionTimer || 0;
+
+        // Towers removed from data.json since the save are dropped
+        state.towers = snapshot.towers
+            .map(towerSnapshot => Tower.fromSnapshot(towerSnapshot, gameData))
+            .filter(Boolean);
+        state.towers.forEach(t => t.applyStats(state.towers));
+        state.soldTowers = snapshot.soldTowers;
+
+        state.gameStats = {
+            ...state.gameStats,
+            ...snapshot.gameStats,
+            damageDealt: { ...state.gameStats.damageDealt, ...snapshot.gameStats.damageDealt },
+            income: { ...state.gameStats.income, ...snapshot.gameStats.income }
+        };
+
+        // A replay of a resumed game has to start from the same point
+        sim.startSnapshot = snapshot;
+
+        return sim;
+    }
+
+    /**
+     * Queue a command to run at the start of its tick (defaults to the current tick)
+     */
+    queueCommand(command) {
+        const queued = { ...command, tick: command.tick ?? this.tick };
+        const index = this.commandQueue.findIndex(c => c.tick > queued.tick);
+        if (index === -1) {
+            this.commandQueue.push(queued);
+        } else {
+            this.commandQueue.splice(index, 0, queued);
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed timestep
+     */
+    step() {
+        if (this.isFinished()) return;
+
+        while (this.commandQueue.length > 0 && this.commandQueue[0].tick <= this.tick) {
+            this.execute(this.commandQueue.shift());
+        }
+
+        this.update(GameConstants.FIXED_TIMESTEP);
+        this.state.tick++;
+    }
+
+    /**
+     * Step a fixed number of ticks, stopping early if the game ends
+     */
+    run(ticks) {
+        for (let i = 0; i < ticks && !this.isFinished(); i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Step until the game ends or maxTicks have passed
+     */
+    runUntilFinished(maxTicks = Infinity) {
+        const limit = this.tick + maxTicks;
+        while (!this.isFinished() && this.tick < limit) {
+            this.step();
+        }
+    }
+
+    update(deltaTime) {
+        switch (this.currentState) {
+            case GameStates.PLAYING:
+                this.updateGameplay(deltaTime);
+                break;
+            case GameStates.WAVE_BREAK:
+                // Towers still generate income during breaks
+                this.updateTowers(deltaTime);
+                break;
+        }
+    }
+
+    updateGameplay(deltaTime) {
+        // Update infection system
+        this.infectionManager.update(deltaTime);
+
+        // Update wave spawning
+        this.waveManager.update(deltaTime);
+
+        // Update towers
+        this.updateTowers(deltaTime);
+
+        // Update projectiles
+        this.updateProjectiles(deltaTime);
+
+        // Update enemies
+        this.updateEnemies(deltaTime);
+
+        // Check wave completion
+        if (this.currentState === GameStates.PLAYING &&
+            this.state.waveInProgress && this.waveManager.isComplete()) {
+            this.waveComplete();
+        }
+    }
+
+    updateTowers(deltaTime) {
+        this.state.towers.forEach(tower => {
+            tower.update(deltaTime, this.state);
+        });
+    }
+
+    updateProjectiles(deltaTime) {
+        this.state.projectiles.forEach(projectile => {
+            projectile.update(deltaTime, this.state);
+        });
+
+        // Remove inactive projectiles
+        this.state.projectiles = this.state.projectiles.filter(p => p.active);
+    }
+
+    updateEnemies(deltaTime) {
+        const enemiesToRemove = [];
+        const enemiesToSpawn = [];
+
+        this.state.enemies.forEach(enemy => {
+            enemy.update(deltaTime, this.state);
+
+            // Check if enemy reached end
+            if (enemy.reachedEnd) {
+                enemiesToRemove.push(enemy);
+                const gameOver = this.state.takeDamage();
+                this.state.emit('enemyLeaked', { enemy });
+
+                if (gameOver && !this.isFinished()) {
+                    this.gameOver();
+                }
+            }
+            // Check if enemy died
+            else if (!enemy.isAlive()) {
+                enemiesToRemove.push(enemy);
+                this.state.earnMoney(Math.round(enemy.reward * this.state.rules.reward_multiplier), 'kills');
+                this.state.gameStats.enemiesKilled++;
+                if (enemy.lastHitBy) enemy.lastHitBy.record.kills++;
+                this.state.emit('enemyKilled', { enemy });
+                enemiesToSpawn.push(...enemy.createChildren(this.state.gameData));
+            }
+        });
+
+        // Remove dead/finished enemies
+        this.state.enemies = this.state.enemies.filter(
+            enemy => !enemiesToRemove.includes(enemy)
+        ).concat(enemiesToSpawn);
+    }
+
+    waveComplete() {
+        this.state.waveInProgress = false;
+        this.currentState = GameStates.WAVE_BREAK;
+
+        this.settleWaveEconomy();
+        this.state.emit('waveCompleted', { wave: this.state.currentWave });
+
+        if (!this.state.getWaveData(this.state.currentWave + 1)) {
+            this.victory();
+        }
+    }
+
+    /**
+     * End-of-wave economy: collect a loan that is due, as far as money allows, then pay interest
+     * on what is left and the bonus for lives kept
+     */
+    settleWaveEconomy() {
+        const state = this.state;
+        const economy = state.economy;
+
+        if (state.loan && state.currentWave >= state.loan.dueWave) {
+            // Collected from the money there is; the rest stays owed and is collected after later waves
+            const amount = Math.min(state.loan.debt, Math.max(0, state.money));
+            state.money -= amount;
+            state.loan.debt -= amount;
+            const remaining = state.loan.debt;
+            if (remaining <= 0) state.loan = null;
+            state.emit('loanRepaid', { amount, forced: true, remaining });
+        }
+
+        const interest = interestOn(economy.interest, state.money);
+        if (interest > 0) state.earnMoney(interest, 'interest');
+
+        const bonus = waveBonus(economy.wave_bonus, state.lives, state.startLives);
+        if (bonus > 0) state.earnMoney(bonus, 'wave_bonus');
+    }
+
+    gameOver() {
+        this.currentState = GameStates.GAME_OVER;
+        this.infectionManager.stop();
+        this.state.emit('gameOver', { wave: this.state.currentWave });
+    }
+
+    victory() {
+        this.currentState = GameStates.VICTORY;
+        this.infectionManager.stop();
+        this.state.emit('victory', { wave: this.state.currentWave });
+    }
+
+    /**
+     * Run a player command now
+     * @returns {Object} `{ ok: true, ... }` or `{ ok: false, reason }`
+     */
+    execute(command) {
+        let result;
+
+        this.commandLog.push({ ...command, tick: this.tick });
+
+        switch (command.type) {
+            case CommandTypes.PLACE_TOWER:
+                result = this.placeTower(command.towerId, command.x, command.y);
+                break;
+            case CommandTypes.UPGRADE_TOWER:
+                result = this.upgradeTower(this.state.findTower(command.towerUid), command.pathId);
+                break;
+            case CommandTypes.SELL_TOWER:
+                result = this.sellTower(this.state.findTower(command.towerUid));
+                break;
+            case CommandTypes.CURE_TOWER:
+                result = this.cureTower(this.state.findTower(command.towerUid));
+                break;
+            case CommandTypes.TREAT_TOWER:
+                result = this.treatTower(this.state.findTower(command.towerUid), command.treatmentId);
+                break;
+            case CommandTypes.ACTIVATE_ABILITY:
+                result = this.activateAbility(this.state.findTower(command.towerUid));
+                break;
+            case CommandTypes.TAKE_LOAN:
+                result = this.takeLoan();
+                break;
+            case CommandTypes.REPAY_LOAN:
+                result = this.repayLoan();
+                break;
+            case CommandTypes.SET_TARGETING:
+                result = this.setTowerTargeting(this.state.findTower(command.towerUid), command.mode);
+                break;
+            case CommandTypes.START_WAVE:
+                result = this.startNextWave();
+                break;
+            default:
+                result = { ok: false, reason: 'unknown_command' };
+        }
+
+        if (!result.ok) {
+            this.state.emit('commandRejected', { command, reason: result.reason });
+        }
+        return result;
+    }
+
+    startNextWave() {
+        if (this.currentState !== GameStates.WAVE_BREAK) {
+            return { ok: false, reason: 'wave_in_progress' };
+        }
+
+        this.state.currentWave++;
+
+        if (!this.state.getWaveData(this.state.currentWave)) {
+            this.victory();
+            return { ok: true };
+        }
+
+        if (!this.waveManager.startWave(this.state.currentWave)) {
+            this.state.currentWave--;
+            return { ok: false, reason: 'invalid_wave' };
+        }
+
+        this.state.waveInProgress = true;
+        this.state.waveIncome = emptyIncome();
+        this.currentState = GameStates.PLAYING;
+        this.state.emit('waveStarted', { wave: this.state.currentWave });
+        return { ok: true };
+    }
+
+    placeTower(towerId, x, y) {
+        const towerData = this.state.gameData.towers.find(t => t.id === towerId);
+        if (!towerData) return { ok: false, reason: 'unknown_tower' };
+
+        const restriction = this.state.getTowerRestriction(towerData);
+        if (restriction) {
+            return { ok: false, reason: restriction };
+        }
+        if (!this.canPlaceTowerAt(x, y)) {
+            return { ok: false, reason: 'invalid_placement' };
+        }
+        if (!this.state.purchase(towerData.cost_place)) {
+            return { ok: false, reason: 'insufficient_funds' };
+        }
+
+        const tower = new Tower(x, y, towerId, this.state.gameData);
+        tower.uid = this.state.nextTowerUid++;
+        this.state.towers.push(tower);
+        this.state.gameStats.towersPlaced++;
+
+        // Update all towers (for buff calculations)
+        this.state.towers.forEach(t => t.applyStats(this.state.towers));
+
+        this.state.emit('towerPlaced', { tower });
+        return { ok: true, tower };
+    }
+
+    canPlaceTowerAt(x, y) {
+        const margin = GameConstants.TOWER_RADIUS;
+
+        // Check bounds
+        if (x < margin || x > this.bounds.width - margin ||
+            y < margin || y > this.bounds.height - margin) {
+            return false;
+        }
+
+        // Check distance from path and the map's blocked zones
+        if (this.state.map.isPointNearPath({ x, y }) || this.state.map.isPointBlocked({ x, y })) {
+            return false;
+        }
+
+        // Check distance from other towers
+        for (const tower of this.state.towers) {
+            if (Math.hypot(x - tower.x, y - tower.y) < GameConstants.TOWER_MIN_DISTANCE) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    upgradeTower(tower, pathId = null) {
+        if (!tower) return { ok: false, reason: 'unknown_tower' };
+
+        const options = tower.getUpgradeOptions();
+        if (options.length === 0) {
+            return { ok: false, reason: 'max_level' };
+        }
+
+        // At a branch point the player has to pick a path
+        const option = tower.findUpgradeOption(pathId);
+        if (!option) {
+            return { ok: false, reason: pathId ? 'unknown_path' : 'path_required' };
+        }
+
+        if (!this.state.purchase(option.upgrade.cost)) {
+            return { ok: false, reason: 'insufficient_funds' };
+        }
+
+        tower.upgrade(this.state.towers, option.pathId);
+        this.state.gameStats.towersUpgraded++;
+
+        // Reapply buffs to all towers
+        this.state.towers.forEach(t => t.applyStats(this.state.towers));
+
+        this.state.emit('towerUpgraded', { tower });
+        return { ok: true, tower };
+    }
+
+    setTowerTargeting(tower, mode) {
+        if (!tower) return { ok: false, reason: 'unknown_tower' };
+
+        if (!tower.setTargeting(mode)) {
+            return { ok: false, reason: 'unknown_targeting' };
+        }
+
+        this.state.emit('towerTargetingChanged', { tower });
+        return { ok: true, tower };
+    }
+
+    sellTower(tower) {
+        if (!tower) return { ok: false, reason: 'unknown_tower' };
+
+        const sellValue = tower.getSellValue(this.state.rules.sell_refund_rate);
+        this.state.earnMoney(sellValue, 'sales');
+
+        // Remove tower
+        const index = this.state.towers.indexOf(tower);
+        if (index > -1) {
+            this.state.towers.splice(index, 1);
+            this.state.soldTowers.push(tower.toSnapshot());
+        }
+
+        // Clear selection if this was selected
+        if (this.state.selectedTower === tower) {
+            this.state.selectedTower = null;
+        }
+
+        // Reapply buffs to remaining towers
+        this.state.towers.forEach(t => t.applyStats(this.state.towers));
+
+        this.state.emit('towerSold', { tower, value: sellValue });
+        return { ok: true, tower, value: sellValue };
+    }
+
+    cureTower(tower) {
+        if (!tower || !tower.isInfected) {
+            return { ok: false, reason: 'not_infected' };
+        }
+
+        tower.handleClickCure(this.state);
+        return { ok: true, tower };
+    }
+
+    /**
+     * Apply one of the treatment options from infection_mechanic.treatments
+     */
+    treatTower(tower, treatmentId) {
+        if (!tower) return { ok: false, reason: 'unknown_tower' };
+
+        const treatment = this.state.treatments.find(t => t.id === treatmentId);
+        if (!treatment) return { ok: false, reason: 'unknown_treatment' };
+
+        const check = tower.canReceiveTreatment(treatment);
+        if (!check.ok) return check;
+
+        if (!this.state.purchase(treatment.cost || 0)) {
+            return { ok: false, reason: 'insufficient_funds' };
+        }
+
+        const stats = this.state.gameStats;
+        stats.treatmentsUsed[treatment.id] = (stats.treatmentsUsed[treatment.id] || 0) + 1;
+        stats.environmentImpact += treatment.environment_penalty || 0;
+
+        tower.applyTreatment(treatment, this.state);
+        this.state.emit('towerTreated', { tower, treatment });
+        return { ok: true, tower };
+    }
+
+    /**
+     * Borrow economy.loan.amount, to be paid back with interest within due_waves
+     */
+    takeLoan() {
+        const settings = this.state.economy.loan;
+        if (!settings) return { ok: false, reason: 'no_loans' };
+        if (this.state.loan) return { ok: false, reason: 'loan_active' };
+
+        this.state.loan = {
+            debt: loanDebt(settings),
+            dueWave: this.state.currentWave + settings.due_waves
+        };
+        this.state.money += settings.amount;
+        this.state.emit('loanTaken', { amount: settings.amount, loan: { ...this.state.loan } });
+        return { ok: true };
+    }
+
+    repayLoan() {
+        const loan = this.state.loan;
+        if (!loan) return { ok: false, reason: 'no_loan' };
+
+        if (!this.state.purchase(loan.debt)) {
+            return { ok: false, reason: 'insufficient_funds' };
+        }
+
+        this.state.loan = null;
+        this.state.emit('loanRepaid', { amount: loan.debt, forced: false });
+        return { ok: true };
+    }
+
+    /**
+     * Trigger a tower's player-activated ability
+     */
+    activateAbility(tower) {
+        if (!tower) return { ok: false, reason: 'unknown_tower' };
+
+        const check = tower.canActivate();
+        if (!check.ok) return check;
+
+        if (!tower.activate(this.state)) {
+            return { ok: false, reason: 'no_targets' };
+        }
+
+        this.state.emit('abilityActivated', { tower, active: tower.activeAbility });
+        return { ok: true, tower };
+    }
+}
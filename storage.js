@@ -0,0 +1,228 @@
+// storage.js - Save games in localStorage
+// Versioned save format so saves from older builds can still be loaded
+
+import { emptyIncome } from './economy.js';
+
+const SAVE_KEY = 'tatd_save';
+const ENDLESS_RECORDS_KEY = 'tatd_endless_best';
+
+/**
+ * Current save format version. Bump it whenever the snapshot layout
+ * changes and add a migration from the previous version below.
+ */
+export const SAVE_VERSION = 8;
+
+/**
+ * Where levels of towers whose upgrades were split into paths in v5 went:
+ * the path level with the closest stats, and the money refunded for what
+ * the old levels cost beyond the new ones.
+ */
+const LEGACY_TOWER_PATHS = {
+    drone: {
+        // Phun Thuốc is unchanged as the first spray level
+        3: { path: 'spray', level: 3, refund: 0 },
+        // UAV (13 dmg, 0.2 s, camo) became the first ai level; paid 3400 + 9200, now 4200
+        4: { path: 'ai', level: 3, refund: 8400 },
+        // Công Nghệ AI Cao (16 dmg, 0.15 s, 210 range, camo) is closest to Nhận Diện AI;
+        // paid 3400 + 9200 + 17400, now 4200 + 9800
+        5: { path: 'ai', level: 4, refund: 16000 }
+    }
+};
+
+// A v4 save with its towers moved onto their paths and the refunds paid out
+function migrateLegacyPaths(save) {
+    let refunds = 0;
+    const towers = save.game.towers.map(tower => {
+        const legacy = LEGACY_TOWER_PATHS[tower.id]?.[tower.level];
+        if (!legacy) return { ...tower, path: null };
+
+        refunds += legacy.refund;
+        return {
+            ...tower,
+            path: legacy.path,
+            level: legacy.level,
+            totalCost: tower.totalCost - legacy.refund
+        };
+    });
+    return { ...save, game: { ...save.game, towers, money: save.game.money + refunds } };
+}
+
+// A save with a change applied to every tower snapshot
+const mapTowers = (save, change) => ({
+    ...save,
+    game: { ...save.game, towers: save.game.towers.map(tower => ({ ...tower, ...change(tower) })) }
+});
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each one receives a save of that version and returns the next version.
+ */
+const SAVE_MIGRATIONS = {
+    // v2 added maps; older games were all played on the default map
+    1: save => ({ ...save, game: { ...save.game, mapId: null } }),
+    // v3 moved to a fixed world size; older saves hold tower positions in
+    // pixels of a canvas that filled the window, whose size was never saved,
+    // so they cannot be placed. load() reports the discarded save.
+    2: () => {
+        throw new Error('Save predates fixed world coordinates');
+    },
+    // v4 added difficulty rules; older games were all played on the normal preset.
+    // Targeting priorities came during v3, towers saved before that aimed at the first enemy.
+    3: save => mapTowers(
+        { ...save, game: { ...save.game, rules: null } },
+        tower => ({ targeting: tower.targeting ?? 'first' })
+    ),
+    // v5 added upgrade paths; towers past the shared levels move onto the path their old levels became
+    4: migrateLegacyPaths,
+    // v6 added active abilities, none of which had been used yet
+    5: save => mapTowers(save, () => ({ abilityCooldown: 0 })),
+    // v7 added loans and income by source; older games had no loan and tracked no income
+    6: save => ({
+        ...save,
+        game: {
+            ...save.game,
+            loan: null,
+            gameStats: { ...save.game.gameStats, income: emptyIncome() }
+        }
+    }),
+    // v8 added per-tower statistics, counted from zero for games started before
+    7: save => mapTowers(
+        { ...save, game: { ...save.game, soldTowers: [] } },
+        () => ({ record: { damageDealt: 0, kills: 0, moneyGenerated: 0, infectedTime: 0 } })
+    )
+};
+
+// Why the last load() threw a saved game away, null if it did not
+let discardReason = null;
+
+/**
+ * Save game persistence
+ */
+export class SaveManager {
+    /**
+     * Write the simulation to localStorage
+     * @returns {boolean} Whether the save succeeded
+     */
+    static save(simulation) {
+        const save = {
+            version: SAVE_VERSION,
+            dataVersion: simulation.state.gameData.version || 0,
+            savedAt: new Date().toISOString(),
+            game: simulation.toSnapshot()
+        };
+
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+            return true;
+        } catch (error) {
+            console.warn('Could not save game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read the saved game, migrated to the current format
+     * @returns {Object|null} Save object, or null if there is no usable save
+     */
+    static load() {
+        discardReason = null;
+        let save;
+        try {
+            const raw = localStorage.getItem(SAVE_KEY);
+            if (!raw) return null;
+            save = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Could not read saved game:', error);
+            return null;
+        }
+
+        try {
+            return this.migrate(save);
+        } catch (error) {
+            console.warn('Discarding incompatible saved game:', error);
+            discardReason = error.message;
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Why the last load() discarded an existing save it could not migrate,
+     * so the player can be told; null if it did not
+     */
+    static get discardReason() {
+        return discardReason;
+    }
+
+    /**
+     * Upgrade a save step by step to SAVE_VERSION
+     */
+    static migrate(save) {
+        if (!save || typeof save.version !== 'number' || !save.game) {
+            throw new Error('Invalid save structure');
+        }
+        if (save.version > SAVE_VERSION) {
+            throw new Error(`Save version ${save.version} is newer than this game`);
+        }
+
+        let migrated = save;
+        while (migrated.version < SAVE_VERSION) {
+            const migration = SAVE_MIGRATIONS[migrated.version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${migrated.version}`);
+            }
+            migrated = { ...migration(migrated), version: migrated.version + 1 };
+        }
+        return migrated;
+    }
+
+    static hasSave() {
+        return this.load() !== null;
+    }
+
+    static clear() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (error) {
+            console.warn('Could not clear saved game:', error);
+        }
+    }
+}
+
+/**
+ * Best wave reached in endless mode, per map
+ */
+export class EndlessRecords {
+    static getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(ENDLESS_RECORDS_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read endless records:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @returns {number} Best wave on the map, 0 if it was never played endless
+     */
+    static getBest(mapId) {
+        return this.getAll()[mapId] || 0;
+    }
+
+    /**
+     * Record a wave reached on a map
+     * @returns {boolean} Whether it is a new best
+     */
+    static record(mapId, wave) {
+        const records = this.getAll();
+        if (wave <= (records[mapId] || 0)) return false;
+
+        records[mapId] = wave;
+        try {
+            localStorage.setItem(ENDLESS_RECORDS_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Could not save endless record:', error);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,66 @@
+// difficulty.test.js - Rule modifiers stay within their bounds wherever rules come from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { RuleModifiers, clampRule, resolveRules } from '../difficulty.js';
+import { Simulation } from '../simulation.js';
+import { ValidationUtils } from '../config.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+test('number modifiers are clamped to their bounds', () => {
+    assert.equal(clampRule('enemy_hp_multiplier', 0), RuleModifiers.enemy_hp_multiplier.min);
+    assert.equal(clampRule('infection_interval_multiplier', 0), RuleModifiers.infection_interval_multiplier.min);
+    assert.equal(clampRule('sell_refund_rate', 5), 1);
+    assert.equal(clampRule('reward_multiplier', 1.5), 1.5);
+});
+
+test('whole-step modifiers are rounded', () => {
+    assert.equal(clampRule('max_towers', 7.6), 8);
+});
+
+test('unusable values fall back to the default', () => {
+    assert.equal(clampRule('enemy_hp_multiplier', NaN), 1);
+    assert.equal(clampRule('enemy_hp_multiplier', '2'), 1);
+    assert.equal(clampRule('no_eco', 'yes'), false);
+});
+
+test('player overrides are clamped', () => {
+    const rules = resolveRules(gameData, 'normal', { enemy_hp_multiplier: 0, sell_refund_rate: 5 });
+
+    assert.equal(rules.enemy_hp_multiplier, 0.1);
+    assert.equal(rules.sell_refund_rate, 1);
+});
+
+test('saved rules are clamped when a game is resumed', () => {
+    const snapshot = new Simulation(gameData, { seed: 1 }).toSnapshot();
+    snapshot.rules = { ...snapshot.rules, enemy_hp_multiplier: 0, infection_interval_multiplier: 0, sell_refund_rate: 5 };
+
+    const sim = Simulation.fromSnapshot(gameData, snapshot);
+    assert.equal(sim.rules.enemy_hp_multiplier, 0.1);
+    assert.equal(sim.rules.infection_interval_multiplier, 0.1);
+    assert.equal(sim.rules.sell_refund_rate, 1);
+    assert.ok(sim.infectionManager.interval > 0);
+});
+
+test('saved rules missing newer modifiers take them from their preset', () => {
+    const rules = resolveRules(gameData, 'hard');
+    delete rules.sell_refund_rate;
+
+    const sim = new Simulation(gameData, { seed: 1, rules });
+    assert.equal(sim.rules.sell_refund_rate, resolveRules(gameData, 'hard').sell_refund_rate);
+});
+
+test('data.json presets are checked against the same bounds', () => {
+    const data = structuredClone(gameData);
+    data.difficulties[0].modifiers = { enemy_hp_multiplier: 0, max_towers: 500, no_eco: 1 };
+
+    const paths = ValidationUtils.collectGameDataErrors(data).map(error => error.path);
+    assert.deepEqual(paths.sort(), [
+        '$.difficulties[0].modifiers.enemy_hp_multiplier',
+        '$.difficulties[0].modifiers.max_towers',
+        '$.difficulties[0].modifiers.no_eco'
+    ]);
+});
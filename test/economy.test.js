@@ -0,0 +1,40 @@
+// economy.test.js - Optional economy rules and loans
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { Simulation } from '../simulation.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+test('economy rules are off in the normal preset', () => {
+    const sim = new Simulation(gameData, { seed: 1 });
+
+    assert.deepEqual(sim.state.economy, {});
+    assert.equal(sim.execute({ type: 'take_loan' }).reason, 'no_loans');
+});
+
+test('the farm economy preset turns every economy rule on', () => {
+    const sim = new Simulation(gameData, { seed: 1, rules: { difficulty: 'farm_economy' } });
+
+    assert.deepEqual(Object.keys(sim.state.economy).sort(), Object.keys(gameData.game_settings.economy).sort());
+    assert.equal(sim.execute({ type: 'take_loan' }).ok, true);
+});
+
+test('an overdue loan is collected as far as money allows and the rest carried forward', () => {
+    const sim = new Simulation(gameData, { seed: 1, rules: { difficulty: 'farm_economy' } });
+    sim.execute({ type: 'take_loan' });
+    const debt = sim.state.loan.debt;
+
+    sim.state.money = 500;
+    sim.state.currentWave = sim.state.loan.dueWave;
+    sim.settleWaveEconomy();
+
+    assert.ok(sim.state.money >= 0);
+    assert.equal(sim.state.loan.debt, debt - 500);
+
+    sim.state.money = debt;
+    sim.settleWaveEconomy();
+    assert.equal(sim.state.loan, null);
+});
@@ -0,0 +1,89 @@
+// infection.test.js - Treatments, spread and escalation of tower infections
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { Simulation } from '../simulation.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+// A game with one infected drone, plenty of money and no random outbreaks
+function infectedGame({ difficulty = 'normal', neighbours = 0 } = {}) {
+    const data = structuredClone(gameData);
+    data.game_settings.start_money = 100000;
+    data.game_settings.infection_mechanic.every_s = 100000;
+
+    const sim = new Simulation(data, { seed: 3, rules: { difficulty } });
+    sim.execute({ type: 'place', towerId: 'drone', x: 300, y: 520 });
+    for (let i = 1; i <= neighbours; i++) {
+        sim.execute({ type: 'place', towerId: 'drone', x: 300 + 60 * i, y: 520 });
+    }
+    sim.state.towers[0].infect(sim.state.towers);
+    return sim;
+}
+
+test('treatments from data.json are offered in every preset', () => {
+    for (const difficulty of ['easy', 'normal', 'hard']) {
+        const sim = infectedGame({ difficulty });
+        const tower = sim.state.towers[0];
+
+        assert.ok(sim.state.treatments.length > 0);
+        assert.equal(sim.execute({ type: 'treat', towerUid: tower.uid, treatmentId: 'pesticide' }).ok, true);
+        assert.equal(tower.isInfected, false);
+    }
+});
+
+// Step a started wave past the time infections spread and escalate
+function ageInfections(sim) {
+    const { spread, escalation } = sim.state.gameData.game_settings.infection_mechanic;
+    sim.execute({ type: 'start_wave' });
+    sim.run(Math.ceil((Math.max(spread.after_s, escalation.disable_after_s) + 5) * 60));
+}
+
+test('infections do not spread or escalate in the normal preset', () => {
+    const sim = infectedGame({ neighbours: 1 });
+    ageInfections(sim);
+
+    const [source, neighbour] = sim.state.towers;
+    assert.equal(source.infection.severity, 1);
+    assert.equal(neighbour.isInfected, false);
+});
+
+test('infections spread and escalate in the hard preset', () => {
+    const sim = infectedGame({ difficulty: 'hard', neighbours: 1 });
+    ageInfections(sim);
+
+    const [source, neighbour] = sim.state.towers;
+    assert.equal(source.isDisabled, true);
+    assert.equal(neighbour.isInfected, true);
+});
+
+test('an infection being treated neither spreads nor escalates', () => {
+    const sim = infectedGame({ difficulty: 'hard', neighbours: 1 });
+    const [source, neighbour] = sim.state.towers;
+    const biological = sim.state.treatments.find(treatment => treatment.id === 'biological');
+    biological.cure_time_s = 600;
+
+    assert.equal(sim.execute({ type: 'treat', towerUid: source.uid, treatmentId: 'biological' }).ok, true);
+    ageInfections(sim);
+
+    assert.equal(source.infection.severity, 1);
+    assert.equal(source.infection.age, 0);
+    assert.equal(neighbour.isInfected, false);
+});
+
+test('a disabled support tower stops buffing its neighbours until cured', () => {
+    const sim = infectedGame();
+    sim.execute({ type: 'place', towerId: 'greenhouse', x: 360, y: 520 });
+    const [drone, greenhouse] = sim.state.towers;
+    drone.cure(sim.state);
+    assert.ok(drone.buffTotals.firerate_pct > 0);
+
+    greenhouse.infect(sim.state.towers);
+    greenhouse.escalateInfection(sim.state.towers);
+    assert.deepEqual(drone.buffTotals, {});
+
+    greenhouse.cure(sim.state);
+    assert.ok(drone.buffTotals.firerate_pct > 0);
+});
@@ -0,0 +1,46 @@
+// replay.test.js - Replays play back to the recorded game, and only with the data they were recorded with
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { Simulation } from '../simulation.js';
+import { ReplayManager, ReplayPlayer } from '../replay.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+const COMMANDS = [
+    { tick: 0, type: 'place', towerId: 'drone', x: 200, y: 300 },
+    { tick: 5, type: 'start_wave' }
+];
+
+function record() {
+    const sim = new Simulation(gameData, { seed: 11, commands: COMMANDS });
+    sim.run(900);
+    return sim;
+}
+
+test('a replay plays back to the recorded game', () => {
+    const sim = record();
+    const replay = ReplayManager.parse(JSON.stringify(ReplayManager.create(sim)), gameData);
+
+    const player = new ReplayPlayer(replay, gameData);
+    const playback = player.createSimulation();
+    while (!player.isAtEnd()) playback.step();
+
+    assert.deepEqual(playback.toSnapshot(), sim.toSnapshot());
+});
+
+test('a replay recorded with other game data is rejected', () => {
+    const text = JSON.stringify(ReplayManager.create(record()));
+    const otherData = { ...gameData, version: gameData.version + 1 };
+
+    assert.throws(() => ReplayManager.parse(text, otherData), /game data version/);
+});
+
+test('a replay of a game changed by cheats is not recorded', () => {
+    const sim = record();
+    sim.cheated = true;
+
+    assert.throws(() => ReplayManager.create(sim), /cheats/);
+});
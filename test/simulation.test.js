@@ -0,0 +1,73 @@
+// simulation.test.js - The headless simulation runs in Node and is deterministic
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { Simulation, GameStates } from '../simulation.js';
+import { Enemy, Tower } from '../entities.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+gameData.game_settings.start_money = 5000;
+
+// Two towers, an upgrade and the first three waves, each started after the last one ends
+const COMMANDS = [
+    { tick: 0, type: 'place', towerId: 'drone', x: 200, y: 300 },
+    { tick: 0, type: 'place', towerId: 'eco_basic', x: 300, y: 520 },
+    { tick: 5, type: 'start_wave' },
+    { tick: 900, type: 'upgrade', towerUid: 1 },
+    { tick: 1000, type: 'start_wave' },
+    { tick: 3800, type: 'start_wave' }
+];
+const TICKS = 6000;
+// Between the second and third waves, when the game saves
+const WAVE_BREAK_TICK = 3780;
+
+function play(seed, ticks = TICKS) {
+    const sim = new Simulation(gameData, { seed, commands: COMMANDS });
+    sim.rejected = [];
+    sim.on('commandRejected', event => sim.rejected.push(event));
+    sim.run(ticks);
+    return sim;
+}
+
+test('runs a seeded command list headlessly', () => {
+    const sim = play(42);
+
+    assert.deepEqual(sim.rejected, []);
+    assert.equal(sim.tick, TICKS);
+    assert.deepEqual(sim.state.towers.map(tower => [tower.id, tower.level]), [['drone', 1], ['eco_basic', 0]]);
+    assert.equal(sim.state.currentWave, 3);
+    assert.equal(sim.currentState, GameStates.PLAYING);
+    assert.ok(sim.state.gameStats.enemiesKilled > 0);
+});
+
+test('the same seed and commands give the same game', () => {
+    const first = play(42);
+    const second = play(42);
+
+    assert.deepEqual(second.toSnapshot(), first.toSnapshot());
+    assert.deepEqual(second.commandLog, first.commandLog);
+});
+
+test('a game resumed from a wave break snapshot plays on like the original', () => {
+    const original = play(7, WAVE_BREAK_TICK);
+    assert.equal(original.currentState, GameStates.WAVE_BREAK);
+    const resumed = Simulation.fromSnapshot(gameData, original.toSnapshot(), {
+        commands: COMMANDS.filter(command => command.tick >= WAVE_BREAK_TICK)
+    });
+
+    original.run(TICKS - WAVE_BREAK_TICK);
+    resumed.run(TICKS - WAVE_BREAK_TICK);
+    assert.deepEqual(resumed.toSnapshot(), original.toSnapshot());
+});
+
+test('tower statistics do not count overkill damage', () => {
+    const enemy = new Enemy(gameData.enemies.find(data => data.id === 'normal'), { path: [{ x: 0, y: 0 }] });
+    const tower = new Tower(0, 0, 'drone', gameData);
+
+    tower.recordDamage(enemy, enemy.takeDamage(1000), null);
+
+    assert.equal(enemy.isAlive(), false);
+    assert.equal(tower.record.damageDealt, 5);
+});
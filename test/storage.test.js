@@ -0,0 +1,118 @@
+// storage.test.js - Saves from older versions are migrated, or reported when they cannot be
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SaveManager, SAVE_VERSION } from '../storage.js';
+
+// Just enough of the browser's localStorage for SaveManager
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function storeSave(save) {
+    localStorage.setItem('tatd_save', JSON.stringify(save));
+}
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+test('a save in the current format loads as it is', () => {
+    storeSave({ version: SAVE_VERSION, game: { towers: [] } });
+
+    assert.deepEqual(SaveManager.load().game, { towers: [] });
+    assert.equal(SaveManager.discardReason, null);
+});
+
+test('a save from before fixed world coordinates is discarded and reported', () => {
+    storeSave({ version: 1, game: { towers: [{ id: 'drone', x: 400, y: 300, level: 0 }] } });
+
+    assert.equal(SaveManager.load(), null);
+    assert.match(SaveManager.discardReason, /fixed world coordinates/);
+    assert.equal(localStorage.getItem('tatd_save'), null);
+});
+
+test('a save from a newer build is discarded and reported', () => {
+    storeSave({ version: SAVE_VERSION + 1, game: { towers: [] } });
+
+    assert.equal(SaveManager.load(), null);
+    assert.match(SaveManager.discardReason, /newer/);
+});
+
+test('no save is not reported as discarded', () => {
+    assert.equal(SaveManager.load(), null);
+    assert.equal(SaveManager.discardReason, null);
+});
+
+// A v4 save, from before upgrade paths, with a drone at the given level
+function v4Save(level) {
+    return {
+        version: 4,
+        game: {
+            money: 1000,
+            rules: null,
+            gameStats: { damageDealt: {} },
+            towers: [{ uid: 1, id: 'drone', x: 300, y: 520, level, totalCost: 40000, targeting: 'first' }]
+        }
+    };
+}
+
+test('v3 towers from before targeting priorities aim at the first enemy', () => {
+    const save = SaveManager.migrate({ version: 3, game: { towers: [{ id: 'drone' }, { id: 'drone', targeting: 'last' }] } });
+
+    assert.equal(save.game.rules, null);
+    assert.deepEqual(save.game.towers.map(tower => tower.targeting), ['first', 'last']);
+});
+
+test('v4 drones past the shared levels move onto the path with matching stats', () => {
+    const cases = [
+        [2, null, 2, 0],
+        [3, 'spray', 3, 0],
+        [4, 'ai', 3, 8400],
+        [5, 'ai', 4, 16000]
+    ];
+    cases.forEach(([oldLevel, path, level, refund]) => {
+        const save = SaveManager.migrate(v4Save(oldLevel));
+        const [tower] = save.game.towers;
+
+        assert.equal(tower.path, path, `old level ${oldLevel}`);
+        assert.equal(tower.level, level, `old level ${oldLevel}`);
+        assert.equal(tower.totalCost, 40000 - refund);
+        assert.equal(save.game.money, 1000 + refund);
+    });
+});
+
+test('v5 towers get a ready active ability', () => {
+    const save = SaveManager.migrate({ ...v4Save(0), version: 5 });
+    assert.equal(save.game.towers[0].abilityCooldown, 0);
+});
+
+test('v6 games get no loan and an empty income breakdown', () => {
+    const save = SaveManager.migrate({ ...v4Save(0), version: 6 });
+
+    assert.equal(save.game.loan, null);
+    assert.ok(Object.values(save.game.gameStats.income).every(amount => amount === 0));
+    assert.deepEqual(save.game.gameStats.damageDealt, {});
+});
+
+test('v7 towers get empty statistics and no sold towers', () => {
+    const save = SaveManager.migrate({ ...v4Save(0), version: 7 });
+
+    assert.deepEqual(save.game.soldTowers, []);
+    assert.deepEqual(save.game.towers[0].record, { damageDealt: 0, kills: 0, moneyGenerated: 0, infectedTime: 0 });
+});
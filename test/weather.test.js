@@ -0,0 +1,35 @@
+// weather.test.js - Weather changes how many pests a wave brings
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { Simulation } from '../simulation.js';
+import { getWeatherForWave, spawnCount } from '../weather.js';
+
+const gameData = JSON.parse(readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+test('spawnCount scales a group by the weather and keeps at least one', () => {
+    const rainy = { spawn_count_pct: 20 };
+    const storm = { spawn_count_pct: -90 };
+
+    assert.equal(spawnCount({ count: 10 }, null), 10);
+    assert.equal(spawnCount({ count: 10 }, rainy), 12);
+    assert.equal(spawnCount({ count: 3 }, storm), 1);
+});
+
+test('the spawner queues the weather-scaled counts for every wave', () => {
+    let scaledWaves = 0;
+    gameData.waves.forEach((wave, index) => {
+        const waveNumber = index + 1;
+        const weather = getWeatherForWave(gameData, waveNumber);
+        const expected = wave.composition.reduce((sum, group) => sum + spawnCount(group, weather), 0);
+        const raw = wave.composition.reduce((sum, group) => sum + group.count, 0);
+        if (expected !== raw) scaledWaves++;
+
+        const sim = new Simulation(gameData, { seed: 1 });
+        sim.waveManager.startWave(waveNumber);
+        assert.equal(sim.waveManager.spawnQueue.length, expected, `wave ${waveNumber}`);
+    });
+    assert.ok(scaledWaves > 0, 'some wave has weather that changes its counts');
+});
@@ -1,6 +1,56 @@
 // ui.js - Complete rewrite with better organization and error handling
 // This module handles all DOM interactions, UI updates, and user interface logic
 
+import { GameConstants } from './config.js';
+import { TargetingModes, EnemyAbilities, calculateDamage } from './entities.js';
+import { StatusEffects } from './effects.js';
+import { ActiveAbilities, ABILITY_HOTKEY } from './abilities.js';
+import { getWeatherForWave, weatherMultiplier, spawnCount } from './weather.js';
+import { EndlessRecords } from './storage.js';
+import { RuleModifiers, clampRule, describeRules, resolveRules } from './difficulty.js';
+import { BuffTypes, describeBuff } from './buffs.js';
+import { IncomeSources, interestOn, waveBonus, loanDebt, countNearbyCrops } from './economy.js';
+
+const DAMAGE_TYPE_LABELS = {
+    kinetic: 'Động năng',
+    water: 'Nước',
+    chemical: 'Hóa chất'
+};
+
+// Damage values can be fractional after resistances
+const formatDamage = value => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+// How each buff stacking rule reads in the buff tooltip
+const BUFF_STACKING_LABELS = {
+    additive: 'cộng dồn',
+    multiplicative: 'nhân dồn',
+    diminishing: 'giảm dần khi cộng dồn',
+    flag: 'không cộng dồn'
+};
+
+// Columns of the end-of-game tower table; value() is also the sort key
+const TOWER_TABLE_COLUMNS = [
+    { key: 'name', label: 'Tháp', value: row => row.name, format: (value, row) => (row.sold ? `${value} (đã bán)` : value) },
+    { key: 'level', label: 'Cấp', value: row => row.level, format: value => value },
+    { key: 'damage', label: 'Sát thương', value: row => row.record.damageDealt, format: value => Math.floor(value) },
+    { key: 'kills', label: 'Tiêu diệt', value: row => row.record.kills, format: value => value },
+    { key: 'money', label: 'Tiền tạo ra', value: row => row.record.moneyGenerated, format: value => `$${value}` },
+    { key: 'infected', label: 'Nhiễm bệnh', value: row => row.record.infectedTime, format: value => `${Math.floor(value)}s` },
+    { key: 'cost', label: 'Chi phí', value: row => row.cost, format: value => `$${value}` },
+    {
+        key: 'efficiency',
+        label: 'Sát thương / $1000',
+        value: row => (row.cost > 0 ? row.record.damageDealt / row.cost * 1000 : 0),
+        format: value => value.toFixed(1)
+    }
+];
+
+// Signed percentage change of a multiplier, e.g. 1.25 -> "+25%"
+const formatPercent = multiplier => {
+    const pct = Math.round((multiplier - 1) * 100);
+    return `${pct > 0 ? '+' : ''}${pct}%`;
+};
+
 /**
  * UI Manager - Centralized UI state and element management
  */
@@ -10,6 +60,10 @@ class UIManager {
         this.handlers = null;
         this.gameState = null;
         this.initialized = false;
+        this.lastEconomyHtml = null;
+        this.lastTowerRecordHtml = null;
+        this.towerTableSort = { key: 'damage', descending: true };
+        this.isScrubbing = false;
     }
 
     /**
@@ -27,6 +81,8 @@ class UIManager {
         }
         
         this.attachEventListeners();
+        this.populateMapPicker();
+        this.populateDifficultyPicker();
         this.populateTowerShop();
         this.hideTowerInfo();
         this.initialized = true;
@@ -44,28 +100,69 @@ class UIManager {
             money: 'money',
             lives: 'lives',
             wave: 'wave',
+            weatherGroup: 'weather-group',
+            weather: 'weather',
+            weatherForecast: 'weather-forecast',
             towerShop: 'tower-shop',
             towerInfo: 'tower-info',
             towerInfoName: 'tower-info-name',
             towerInfoDetails: 'tower-info-details',
+            towerRecord: 'tower-record',
+            wavePreviewTitle: 'wave-preview-title',
+            wavePreviewList: 'wave-preview-list',
+            targetingControls: 'targeting-controls',
+            targetingSelect: 'targeting-select',
+            treatmentControls: 'treatment-controls',
+            treatmentOptions: 'treatment-options',
+            upgradePathControls: 'upgrade-path-controls',
+            upgradePathOptions: 'upgrade-path-options',
+            abilityControls: 'ability-controls',
+            abilityBtn: 'ability-btn',
             upgradeBtn: 'upgrade-btn',
+            economyPanel: 'economy-panel',
+            economyInfo: 'economy-info',
+            loanBtn: 'loan-btn',
             sellBtn: 'sell-btn',
             
+            speedControls: 'speed-controls',
+            replayControls: 'replay-controls',
+            replayPlayBtn: 'replay-play-btn',
+            replayScrubber: 'replay-scrubber',
+            replayTime: 'replay-time',
+            replayExitBtn: 'replay-exit-btn',
+            
+            mapSelect: 'map-select',
+            endlessMode: 'endless-mode',
+            endlessRecord: 'endless-record',
+            difficultyPicker: 'difficulty-picker',
+            difficultySelect: 'difficulty-select',
+            difficultyDescription: 'difficulty-description',
+            ruleModifiersList: 'rule-modifiers-list',
+            mapDescription: 'map-description',
+            
             // Containers
             mainMenu: 'main-menu',
             gameContainer: 'game-container',
             
             // Modals
             researchModal: 'research-modal',
+            encyclopediaModal: 'encyclopedia-modal',
             reflectionModal: 'reflection-modal',
             waveSummaryModal: 'wave-summary-modal',
             gameOverModal: 'game-over-modal',
             
             // Buttons
             startGameBtn: 'start-game-btn',
+            continueGameBtn: 'continue-game-btn',
+            loadReplayBtn: 'load-replay-btn',
+            replayFileInput: 'replay-file-input',
+            exportReplayBtn: 'export-replay-btn',
+            gameOverExportBtn: 'game-over-export-btn',
             startWaveBtn: 'start-wave-btn',
             openResearchBtn: 'research-questions-btn',
             openReflectionBtn: 'open-reflection-btn',
+            openEncyclopediaBtn: 'open-encyclopedia-btn',
+            closeEncyclopediaBtn: 'close-encyclopedia-btn',
             closeResearchBtn: 'close-research-btn',
             closeReflectionBtn: 'close-reflection-btn',
             nextWaveBtn: 'next-wave-btn',
@@ -74,6 +171,7 @@ class UIManager {
             // Content areas
             waveSummaryContent: 'wave-summary-content',
             finalStats: 'final-stats',
+            encyclopediaContent: 'encyclopedia-content',
             reflectionInput: 'reflection-input'
         };
 
@@ -93,18 +191,96 @@ class UIManager {
     attachEventListeners() {
         // Game control buttons
         this.addClickListener('startGameBtn', this.handlers.startGame);
+        this.addClickListener('continueGameBtn', this.handlers.continueGame);
         this.addClickListener('startWaveBtn', this.handlers.startWave);
+        this.addClickListener('loanBtn', () => (this.gameState.loan ?
+            this.handlers.repayLoan() :
+            this.handlers.takeLoan()));
         this.addClickListener('restartGameBtn', () => window.location.reload());
         
+        // Replay buttons
+        this.addClickListener('exportReplayBtn', this.handlers.exportReplay);
+        this.addClickListener('gameOverExportBtn', this.handlers.exportReplay);
+        this.addClickListener('loadReplayBtn', () => this.elements.replayFileInput?.click());
+        this.addClickListener('replayPlayBtn', this.handlers.togglePause);
+        this.addClickListener('replayExitBtn', () => window.location.reload());
+        this.attachReplayListeners();
+        
+        // Map picker
+        this.elements.mapSelect?.addEventListener('change', () => {
+            this.handlers?.selectMap?.(this.elements.mapSelect.value);
+            this.updateMapDescription();
+        });
+        this.elements.endlessMode?.addEventListener('change', () => {
+            this.handlers?.setEndlessMode?.(this.elements.endlessMode.checked);
+        });
+        
+        // Difficulty: a new preset drops the custom values
+        this.elements.difficultySelect?.addEventListener('change', () => {
+            this.handlers?.setRules?.(this.elements.difficultySelect.value);
+            this.updateRuleModifiers();
+        });
+        this.elements.ruleModifiersList?.addEventListener('change', () => {
+            this.handlers?.setRules?.(this.elements.difficultySelect.value, this.readRuleOverrides());
+            this.updateRuleModifiers();
+        });
+        
+        // Game speed buttons
+        this.elements.speedControls?.querySelectorAll('.btn-speed').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handlers?.setGameSpeed?.(Number(btn.dataset.speed));
+            });
+        });
+        
         // Modal controls
         this.addClickListener('openResearchBtn', () => this.showModal('researchModal'));
         this.addClickListener('closeResearchBtn', () => this.hideModal('researchModal'));
+        this.addClickListener('openEncyclopediaBtn', () => {
+            this.updateEncyclopedia();
+            this.showModal('encyclopediaModal');
+        });
+        this.addClickListener('closeEncyclopediaBtn', () => this.hideModal('encyclopediaModal'));
         this.addClickListener('openReflectionBtn', () => {
             this.updateFinalReflection();
             this.showModal('reflectionModal');
         });
         this.addClickListener('closeReflectionBtn', () => this.hideModal('reflectionModal'));
         this.addClickListener('nextWaveBtn', () => this.hideModal('waveSummaryModal'));
+        
+        // Column headers of the tower table, rebuilt with the statistics
+        this.elements.finalStats?.addEventListener('click', event => {
+            const key = event.target.closest('[data-sort]')?.dataset.sort;
+            if (key) this.sortTowerTable(key);
+        });
+    }
+
+    /**
+     * Replay file picker and scrubber
+     */
+    attachReplayListeners() {
+        const fileInput = this.elements.replayFileInput;
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    this.handlers?.loadReplay?.(await file.text());
+                }
+            });
+        }
+
+        const scrubber = this.elements.replayScrubber;
+        if (scrubber) {
+            // Only seek on release; seeking backwards re-simulates from the start
+            scrubber.addEventListener('input', () => {
+                this.isScrubbing = true;
+                this.updateReplayTime(Number(scrubber.value), Number(scrubber.max));
+            });
+            scrubber.addEventListener('change', () => {
+                this.isScrubbing = false;
+                this.handlers?.seekReplay?.(Number(scrubber.value));
+            });
+        }
     }
 
     /**
@@ -116,6 +292,119 @@ class UIManager {
         }
     }
 
+    /**
+     * Fill the main menu map picker from data.json
+     */
+    populateMapPicker() {
+        const select = this.elements.mapSelect;
+        if (!select || !this.gameState?.gameData?.maps) return;
+
+        select.innerHTML = '';
+        this.gameState.gameData.maps.forEach(mapData => {
+            const option = document.createElement('option');
+            option.value = mapData.id;
+            option.textContent = mapData.name;
+            select.appendChild(option);
+        });
+
+        select.value = this.gameState.map?.id || select.value;
+        this.updateMapDescription();
+    }
+
+    updateMapDescription() {
+        const select = this.elements.mapSelect;
+        const mapData = this.gameState?.gameData?.maps?.find(m => m.id === select?.value);
+        if (this.elements.mapDescription) {
+            this.elements.mapDescription.textContent = mapData?.description || '';
+        }
+
+        const best = mapData ? EndlessRecords.getBest(mapData.id) : 0;
+        this.updateElement('endlessRecord', best > 0 ? `♾️ Kỷ lục chế độ vô tận: đợt ${best}` : '');
+    }
+
+    /**
+     * Fill the main menu difficulty picker and rule inputs
+     */
+    populateDifficultyPicker() {
+        const select = this.elements.difficultySelect;
+        const presets = this.gameState?.gameData?.difficulties || [];
+        if (!select || presets.length === 0) return;
+
+        select.innerHTML = '';
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+        select.value = this.gameState.rules?.difficulty || select.value;
+
+        const list = this.elements.ruleModifiersList;
+        list.innerHTML = '';
+        Object.entries(RuleModifiers).forEach(([key, modifier]) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.dataset.rule = key;
+            if (modifier.type === 'boolean') {
+                input.type = 'checkbox';
+            } else {
+                input.type = 'number';
+                input.min = String(modifier.min);
+                input.max = String(modifier.max);
+                input.step = String(modifier.step);
+            }
+            label.append(modifier.label, input);
+            list.appendChild(label);
+        });
+
+        this.updateRuleModifiers();
+        this.showElement('difficultyPicker');
+    }
+
+    /**
+     * Show the new game's rules in the modifier inputs
+     */
+    updateRuleModifiers() {
+        const rules = this.gameState.rules;
+        const preset = this.gameState.gameData.difficulties?.find(p => p.id === rules.difficulty);
+        this.updateElement('difficultyDescription', preset?.description || '');
+
+        this.elements.ruleModifiersList?.querySelectorAll('input').forEach(input => {
+            const value = rules[input.dataset.rule];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Modifier values the player changed from the chosen preset
+     */
+    readRuleOverrides() {
+        const preset = resolveRules(this.gameState.gameData, this.elements.difficultySelect.value);
+        const overrides = {};
+        this.elements.ruleModifiersList?.querySelectorAll('input').forEach(input => {
+            const key = input.dataset.rule;
+            if (input.type === 'number' && input.value === '') return;
+            const value = clampRule(key, input.type === 'checkbox' ? input.checked : Number(input.value));
+            if (value !== preset[key]) overrides[key] = value;
+        });
+        return overrides;
+    }
+
+    /**
+     * Name of the game's difficulty, marked when the player changed its rules
+     */
+    describeDifficulty(rules) {
+        const preset = this.gameState.gameData.difficulties?.find(p => p.id === rules?.difficulty);
+        const name = preset?.name || 'Bình thường';
+        const presetRules = resolveRules(this.gameState.gameData, rules?.difficulty);
+        const custom = rules && Object.keys(RuleModifiers).some(key => rules[key] !== presetRules[key]);
+        return custom ? `${name} (tùy chỉnh)` : name;
+    }
+
     /**
      * Populate the tower shop with available towers
      */
@@ -178,8 +467,212 @@ class UIManager {
         this.updateElement('lives', this.gameState.lives);
         
         const currentWave = this.gameState.currentWave || 0;
-        const totalWaves = this.gameState.gameData?.waves?.length || 0;
+        const totalWaves = this.gameState.endless ? '∞' : this.gameState.gameData?.waves?.length || 0;
         this.updateElement('wave', `${currentWave} / ${totalWaves}`);
+
+        this.updateWeather();
+        this.updateEconomy();
+    }
+
+    /**
+     * Interest and bonus due at the end of the wave, and the loan button
+     */
+    updateEconomy() {
+        const economy = this.gameState.economy;
+        if (!economy.interest && !economy.wave_bonus && !economy.loan) {
+            this.hideElement('economyPanel');
+            return;
+        }
+
+        const state = this.gameState;
+        const lines = [];
+        if (economy.interest) {
+            const cap = economy.interest.max !== undefined ? `, tối đa $${economy.interest.max}` : '';
+            lines.push(`🏦 Lãi cuối đợt: $${interestOn(economy.interest, state.money)} (${economy.interest.rate_pct}%${cap})`);
+        }
+        if (economy.wave_bonus) {
+            lines.push(`🎁 Thưởng cuối đợt: $${waveBonus(economy.wave_bonus, state.lives, state.startLives)}`);
+        }
+        if (state.loan) {
+            lines.push(state.currentWave >= state.loan.dueWave ?
+                `💳 Quá hạn: nợ $${state.loan.debt}, thu dần khi hết mỗi đợt` :
+                `💳 Nợ $${state.loan.debt}, tự động thu khi hết đợt ${state.loan.dueWave}`);
+        }
+
+        // Rebuilt only when something changed, this runs every frame
+        const html = lines.map(line => `<li>${line}</li>`).join('');
+        if (this.elements.economyInfo && this.lastEconomyHtml !== html) {
+            this.lastEconomyHtml = html;
+            this.elements.economyInfo.innerHTML = html;
+        }
+
+        const btn = this.elements.loanBtn;
+        if (btn && economy.loan) {
+            const text = state.loan ?
+                `Trả nợ ($${state.loan.debt})` :
+                `Vay $${economy.loan.amount} (trả $${loanDebt(economy.loan)} sau ${economy.loan.due_waves} đợt)`;
+            if (btn.textContent !== text) btn.textContent = text;
+            btn.disabled = state.loan ? state.money < state.loan.debt : false;
+            btn.classList.remove('hidden');
+        }
+        this.showElement('economyPanel');
+    }
+
+    /**
+     * Show the current weather and the forecast for the next wave
+     */
+    updateWeather() {
+        const gameData = this.gameState.gameData;
+        if (!gameData?.weather) {
+            this.hideElement('weatherGroup');
+            return;
+        }
+
+        const currentWave = this.gameState.currentWave || 0;
+        const current = getWeatherForWave(gameData, currentWave);
+        const next = getWeatherForWave(gameData, currentWave + 1);
+
+        this.updateElement('weather', current ? `${current.icon} ${current.name}` : '');
+        this.updateElement('weatherForecast', next ? `Dự báo đợt ${currentWave + 1}: ${next.icon} ${next.name}` : '');
+        if (this.elements.weatherGroup) {
+            this.elements.weatherGroup.title = [current, next]
+                .filter(Boolean)
+                .map(weather => `${weather.name}: ${weather.description || ''}`)
+                .join('\n');
+        }
+        this.showElement('weatherGroup');
+    }
+
+    /**
+     * Enemy types in the next wave, in spawn order
+     */
+    getUpcomingEnemies() {
+        const gameData = this.gameState?.gameData;
+        const wave = gameData && this.gameState.getWaveData((this.gameState.currentWave || 0) + 1);
+        if (!wave) return [];
+
+        const ids = [...new Set(wave.composition.map(group => group.enemy_id))];
+        return ids.map(id => gameData.enemies.find(e => e.id === id)).filter(Boolean);
+    }
+
+    /**
+     * Describe an enemy's armor, resistances and immunities
+     */
+    describeDefenses(enemyData) {
+        const parts = [];
+        if (enemyData.boss) {
+            parts.push('👑 Trùm');
+        }
+        if (enemyData.camo) {
+            parts.push('👻 Ngụy trang');
+        }
+        if (enemyData.movement === 'air') {
+            parts.push('🦗 Bay thẳng tới lối ra');
+        }
+        if (enemyData.armor) {
+            parts.push(`🛡️ Giáp ${enemyData.armor}`);
+        }
+        Object.entries(enemyData.resistances || {}).forEach(([type, value]) => {
+            if (!value) return;
+            const label = value > 0 ? 'Kháng' : 'Yếu';
+            parts.push(`${label} ${DAMAGE_TYPE_LABELS[type]} ${Math.round(Math.abs(value) * 100)}%`);
+        });
+        if (enemyData.immunities?.length) {
+            const labels = enemyData.immunities.map(type => StatusEffects[type].label);
+            parts.push(`🚫 Miễn nhiễm ${labels.join(', ')}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Describe an enemy's special abilities, one line each
+     */
+    describeAbilities(enemyData) {
+        return Object.entries(enemyData.abilities || {})
+            .filter(([key, ability]) => EnemyAbilities[key] && ability)
+            .map(([key, ability]) => {
+                const info = EnemyAbilities[key];
+                return `${info.icon} ${info.describe(ability, this.gameState.gameData)}`;
+            });
+    }
+
+    /**
+     * Fill the encyclopedia with every enemy in data.json
+     */
+    updateEncyclopedia() {
+        const content = this.elements.encyclopediaContent;
+        if (!content || !this.gameState) return;
+
+        content.innerHTML = this.gameState.gameData.enemies.map(enemyData => {
+            const defenses = this.describeDefenses(enemyData);
+            const abilities = this.describeAbilities(enemyData);
+            return `
+                <li>
+                    <span class="enemy-swatch" style="background-color: ${enemyData.color}"></span>
+                    <strong>${enemyData.name}</strong>
+                    <div class="encyclopedia-stats">❤️ ${enemyData.hp} · 👟 ${enemyData.speed} · 💰 ${enemyData.reward}</div>
+                    ${defenses ? `<div class="encyclopedia-stats">${defenses}</div>` : ''}
+                    ${abilities.map(line => `<div class="encyclopedia-ability">${line}</div>`).join('')}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the next wave's enemies and how hard the player's towers hit them
+     */
+    updateWavePreview() {
+        const list = this.elements.wavePreviewList;
+        if (!list || !this.gameState) return;
+
+        const gameData = this.gameState.gameData;
+        const waveNumber = (this.gameState.currentWave || 0) + 1;
+        const wave = this.gameState.getWaveData(waveNumber);
+
+        const bossNote = wave?.boss ? ' 👑' : '';
+        this.updateElement('wavePreviewTitle', wave ? `Đợt Tiếp Theo (${waveNumber})${bossNote}` : 'Đợt Tiếp Theo');
+        if (!wave) {
+            list.innerHTML = '<li>Không còn đợt nào</li>';
+            return;
+        }
+
+        // Strongest built tower of each kind, or the shop version if none is built yet
+        const references = gameData.towers
+            .map(towerData => {
+                const built = this.gameState.towers
+                    .filter(t => t.id === towerData.id && t.dmg)
+                    .sort((a, b) => b.level - a.level)[0];
+                if (built) return { name: built.name, dmg: built.dmg, damageType: built.damageType };
+                if (!towerData.base.dmg) return null;
+                return {
+                    name: towerData.name,
+                    dmg: towerData.base.dmg,
+                    damageType: towerData.base.damage_type || towerData.damage_type || 'kinetic'
+                };
+            })
+            .filter(Boolean);
+
+        // Counted as the spawner will, with the wave's weather
+        const weather = getWeatherForWave(gameData, waveNumber);
+        const counts = {};
+        wave.composition.forEach(group => {
+            counts[group.enemy_id] = (counts[group.enemy_id] || 0) + spawnCount(group, weather);
+        });
+
+        list.innerHTML = this.getUpcomingEnemies().map(enemyData => {
+            const defenses = this.describeDefenses(enemyData);
+            const damage = references
+                .map(ref => `${ref.name} ${formatDamage(calculateDamage(ref.dmg, ref.damageType, enemyData))}`)
+                .join(', ');
+            return `
+                <li>
+                    <strong>${enemyData.name}</strong> ×${counts[enemyData.id]} · ❤️ ${Math.round(enemyData.hp * this.gameState.rules.enemy_hp_multiplier)}
+                    ${defenses ? `<div class="wave-preview-defenses">${defenses}</div>` : ''}
+                    ${this.describeAbilities(enemyData).map(line => `<div class="wave-preview-defenses">${line}</div>`).join('')}
+                    <div class="wave-preview-damage">Sát thương/phát: ${damage}</div>
+                </li>
+            `;
+        }).join('');
     }
 
     /**
@@ -203,11 +696,24 @@ class UIManager {
         this.showElement('towerInfo');
 
         // Update tower name and level
-        const levelText = `${towerData.name} (Level ${tower.level + 1})`;
+        const pathName = tower.getPath(tower.path)?.name;
+        const levelText = pathName ?
+            `${towerData.name} - ${pathName} (Level ${tower.level + 1})` :
+            `${towerData.name} (Level ${tower.level + 1})`;
         this.updateElement('towerInfoName', levelText);
 
         // Build and display tower details
         this.updateTowerDetails(tower, towerData);
+        this.updateTowerRecord();
+
+        // Targeting priority, for towers that shoot
+        this.setupTargetingSelect(tower);
+
+        // Treatment options for infected or unvaccinated towers
+        this.setupTreatmentMenu(tower);
+
+        // Active ability, triggered here or with the hotkey
+        this.setupAbilityButton(tower);
 
         // Setup upgrade button
         this.setupUpgradeButton(tower, towerData);
@@ -226,7 +732,30 @@ class UIManager {
         const stats = [];
 
         if (tower.dmg) {
-            stats.push(`Sát thương: ${tower.dmg}`);
+            stats.push(`Sát thương: ${tower.dmg} (${DAMAGE_TYPE_LABELS[tower.damageType]})`);
+
+            // Effective damage against the upcoming enemies that resist it
+            const effective = this.getUpcomingEnemies()
+                .map(enemyData => ({
+                    enemyData,
+                    dealt: calculateDamage(tower.dmg, tower.damageType, enemyData)
+                }))
+                .filter(({ dealt }) => dealt !== tower.dmg)
+                .map(({ enemyData, dealt }) => `${enemyData.name} ${formatDamage(dealt)}`);
+            if (effective.length > 0) {
+                stats.push(`Hiệu quả đợt tới: ${effective.join(', ')}`);
+            }
+        }
+        
+        // Weather changes to damage and income during the current wave
+        const weather = this.gameState.weather;
+        const damageMultiplier = weatherMultiplier(weather, 'tower_damage_pct', tower.id);
+        if (tower.dmg && damageMultiplier !== 1) {
+            stats.push(`${weather.icon} ${weather.name}: ${formatPercent(damageMultiplier)} sát thương`);
+        }
+        const incomeMultiplier = weatherMultiplier(weather, 'eco_income_pct');
+        if (tower.income && incomeMultiplier !== 1) {
+            stats.push(`${weather.icon} ${weather.name}: ${formatPercent(incomeMultiplier)} thu nhập`);
         }
         
         if (tower.firerate) {
@@ -239,12 +768,69 @@ class UIManager {
             stats.push(`Tầm bắn: ${range}`);
         }
         
+        const ability = tower.stats.ability;
+        if (ability && StatusEffects[ability.effect]) {
+            const effect = StatusEffects[ability.effect];
+            const bossNote = ability.no_effect_on_boss ? ' (trừ trùm)' : '';
+            stats.push(`${effect.icon} ${effect.describe(ability.value || 0, ability.duration_s)}${bossNote}`);
+        }
+        
+        const active = tower.activeAbility;
+        if (active && ActiveAbilities[active.type]) {
+            const ability = ActiveAbilities[active.type];
+            stats.push(`${ability.icon} ${ability.label}: ${ability.describe(active)} (hồi chiêu ${active.cooldown_s}s)`);
+        }
+        
+        // Chosen branch, or the branches still open
+        const paths = towerData.paths || [];
+        if (tower.path) {
+            const locked = paths.filter(path => path.id !== tower.path).map(path => path.name);
+            stats.push(`🌿 Hướng ${tower.getPath(tower.path).name}${locked.length > 0 ? ` (đã khóa: ${locked.join(', ')})` : ''}`);
+        } else if (paths.length > 0) {
+            const branchLevel = towerData.upgrades.length + 2;
+            stats.push(`🌿 Chọn hướng ở Level ${branchLevel}: ${paths.map(path => path.name).join(' / ')}`);
+        }
+        
+        if (tower.canAttack() && tower.canHitAir) {
+            stats.push('✈️ Bắn được sâu bay');
+        }
+        
+        if (tower.canAttack() && tower.stats.camo_detection) {
+            stats.push('👁️ Phát hiện sâu ngụy trang');
+        }
+        
+        if (tower.infection) {
+            stats.push(tower.isDisabled ?
+                '⛔ Bệnh nặng: ngừng hoạt động' :
+                '🦠 Nhiễm bệnh: giảm tốc độ và tầm bắn');
+        }
+        
+        if (tower.infection?.treatment) {
+            const seconds = Math.ceil(tower.infection.autoHealTimer);
+            stats.push(`🩺 Đang chữa trị, khỏi sau ${seconds}s`);
+        }
+        
+        if (tower.vaccinated) {
+            stats.push('💉 Đã kháng bệnh');
+        }
+        
         if (tower.income) {
             stats.push(`Thu nhập: $${tower.income} mỗi ${tower.interval}s`);
         }
         
-        if (tower.buffs?.firerate_pct) {
-            stats.push(`Buff: +${tower.buffs.firerate_pct}% Tốc độ, +${tower.buffs.range_pct}% Tầm`);
+        const cropBonus = this.gameState.economy.crop_bonus;
+        if (tower.income && cropBonus?.crop_towers.includes(tower.id)) {
+            const crops = countNearbyCrops(cropBonus, tower, this.gameState.towers);
+            stats.push(`🌾 ${crops} cây trồng gần: ${formatPercent(tower.getCropMultiplier(this.gameState))} thu nhập`);
+        }
+        
+        const granted = Object.entries(tower.buffs).filter(([type, value]) => value && BuffTypes[type]);
+        if (granted.length > 0) {
+            stats.push(`📡 Hỗ trợ tháp trong tầm: ${granted.map(([type, value]) => describeBuff(type, value)).join(', ')}`);
+        }
+        
+        if (tower.buffSources.length > 0) {
+            stats.push(this.describeReceivedBuffs(tower));
         }
 
         if (stats.length === 0) {
@@ -255,27 +841,199 @@ class UIManager {
     }
 
     /**
-     * Setup upgrade button state and behavior
+     * Totals of the buffs on a tower, with a tooltip listing each source
+     */
+    describeReceivedBuffs(tower) {
+        const totals = Object.entries(tower.buffTotals);
+        const tooltip = totals.map(([type, total]) => {
+            const buffType = BuffTypes[type];
+            const cap = buffType.max_pct !== undefined ? `, tối đa ${buffType.max_pct}%` : '';
+            const sources = tower.buffSources
+                .filter(source => source.type === type)
+                .map(source => `  • ${source.tower.name} (Level ${source.tower.level + 1}): ${describeBuff(type, source.value)}`);
+            return [`${describeBuff(type, total)} (${BUFF_STACKING_LABELS[buffType.stacking]}${cap})`, ...sources].join('\n');
+        }).join('\n');
+
+        const summary = totals.map(([type, total]) => describeBuff(type, total)).join(', ');
+        return `<span class="buff-summary" title="${tooltip}">✨ Đang nhận: ${summary}</span>`;
+    }
+
+    /**
+     * Lifetime statistics of the selected tower, refreshed every frame
+     */
+    updateTowerRecord() {
+        const list = this.elements.towerRecord;
+        const tower = this.gameState?.selectedTower;
+        if (!list || !tower) return;
+
+        const { record } = tower;
+        const lines = [];
+        if (tower.canAttack() || record.damageDealt > 0) {
+            lines.push(`⚔️ Sát thương đã gây: ${Math.floor(record.damageDealt)} · Tiêu diệt: ${record.kills}`);
+        }
+        if (tower.income || record.moneyGenerated > 0) {
+            lines.push(`💵 Tiền đã tạo ra: $${record.moneyGenerated}`);
+        }
+        if (record.infectedTime > 0) {
+            lines.push(`🦠 Thời gian nhiễm bệnh: ${Math.floor(record.infectedTime)}s`);
+        }
+        lines.push(`💰 Đã đầu tư: $${tower.totalCost}`);
+
+        const html = lines.map(line => `<li>${line}</li>`).join('');
+        if (this.lastTowerRecordHtml !== html) {
+            this.lastTowerRecordHtml = html;
+            list.innerHTML = html;
+        }
+    }
+
+    /**
+     * Setup the targeting priority picker
+     */
+    setupTargetingSelect(tower) {
+        const select = this.elements.targetingSelect;
+        if (!select) return;
+
+        if (!tower.canAttack()) {
+            this.hideElement('targetingControls');
+            return;
+        }
+
+        if (select.options.length === 0) {
+            Object.entries(TargetingModes).forEach(([mode, { label }]) => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        }
+
+        select.value = tower.targeting;
+        // Replays are watch-only
+        select.disabled = this.elements.gameContainer?.classList.contains('replay-mode') || false;
+        select.onchange = () => this.handlers.setTowerTargeting(tower, select.value);
+        this.showElement('targetingControls');
+    }
+
+    /**
+     * Setup the treatment menu from infection_mechanic.treatments
+     */
+    setupTreatmentMenu(tower) {
+        const container = this.elements.treatmentOptions;
+        if (!container) return;
+
+        const available = this.gameState.treatments.filter(treatment => tower.canReceiveTreatment(treatment).ok);
+        if (available.length === 0) {
+            this.hideElement('treatmentControls');
+            return;
+        }
+
+        // Replays are watch-only
+        const isReplay = this.elements.gameContainer?.classList.contains('replay-mode') || false;
+
+        container.innerHTML = '';
+        available.forEach(treatment => {
+            const cost = treatment.cost || 0;
+            const btn = document.createElement('button');
+            btn.className = 'btn-secondary btn-block';
+            btn.textContent = cost > 0 ? `${treatment.name} ($${cost})` : `${treatment.name} (miễn phí)`;
+            btn.title = treatment.description || '';
+            btn.disabled = isReplay || this.gameState.money < cost;
+            btn.onclick = () => this.handlers.treatTower(tower, treatment.id);
+            container.appendChild(btn);
+        });
+        this.showElement('treatmentControls');
+    }
+
+    /**
+     * Show the active ability button for towers that have one
+     */
+    setupAbilityButton(tower) {
+        const btn = this.elements.abilityBtn;
+        if (!btn) return;
+
+        if (!tower.activeAbility || !ActiveAbilities[tower.activeAbility.type]) {
+            this.hideElement('abilityControls');
+            return;
+        }
+
+        btn.onclick = () => this.handlers.activateAbility(tower);
+        this.showElement('abilityControls');
+        this.updateAbilityButton();
+    }
+
+    /**
+     * Refresh the selected tower's ability button as its cooldown runs down
+     */
+    updateAbilityButton() {
+        const btn = this.elements.abilityBtn;
+        const tower = this.gameState?.selectedTower;
+        const active = tower?.activeAbility;
+        if (!btn || !active || !ActiveAbilities[active.type]) return;
+
+        const ability = ActiveAbilities[active.type];
+        const hotkey = ABILITY_HOTKEY.toUpperCase();
+        const text = tower.abilityCooldown > 0 ?
+            `${ability.icon} ${ability.label} (${Math.ceil(tower.abilityCooldown)}s)` :
+            `${ability.icon} ${ability.label} [${hotkey}]`;
+        if (btn.textContent !== text) {
+            btn.textContent = text;
+        }
+        btn.title = ability.describe(active);
+        btn.disabled = !tower.canActivate().ok;
+    }
+
+    /**
+     * Setup upgrade button state and behavior. At a branch point the
+     * button gives way to one choice per path.
      */
     setupUpgradeButton(tower, towerData) {
         const btn = this.elements.upgradeBtn;
         if (!btn) return;
 
-        const isMaxLevel = tower.level >= towerData.upgrades.length;
+        const options = tower.getUpgradeOptions();
+        this.setupUpgradePaths(tower, options.length > 1 ? options : []);
 
-        if (isMaxLevel) {
+        if (options.length === 0) {
             btn.textContent = 'Cấp Tối Đa';
             btn.disabled = true;
             btn.onclick = null;
+        } else if (options.length > 1) {
+            btn.textContent = 'Chọn hướng nâng cấp ở trên';
+            btn.disabled = true;
+            btn.onclick = null;
         } else {
-            const upgradeInfo = towerData.upgrades[tower.level];
-            const cost = upgradeInfo.cost;
+            const cost = options[0].upgrade.cost;
             btn.textContent = `Nâng cấp ($${cost})`;
             btn.disabled = this.gameState.money < cost;
             btn.onclick = () => this.handlers.upgradeTower(tower);
         }
     }
 
+    /**
+     * Show one button per upgrade path; picking one locks the others
+     */
+    setupUpgradePaths(tower, options) {
+        const container = this.elements.upgradePathOptions;
+        if (!container) return;
+
+        if (options.length === 0) {
+            this.hideElement('upgradePathControls');
+            return;
+        }
+
+        container.innerHTML = '';
+        options.forEach(({ pathId, path, upgrade }) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-upgrade btn-block';
+            btn.textContent = `${path.name}: ${upgrade.name} ($${upgrade.cost})`;
+            btn.title = path.description || '';
+            btn.disabled = this.gameState.money < upgrade.cost;
+            btn.onclick = () => this.handlers.upgradeTower(tower, pathId);
+            container.appendChild(btn);
+        });
+        this.showElement('upgradePathControls');
+    }
+
     /**
      * Setup sell button
      */
@@ -283,7 +1041,7 @@ class UIManager {
         const btn = this.elements.sellBtn;
         if (!btn) return;
 
-        const sellValue = Math.floor(tower.totalCost * 0.7);
+        const sellValue = tower.getSellValue(this.gameState.rules.sell_refund_rate);
         btn.textContent = `Bán ($${sellValue})`;
         btn.onclick = () => this.handlers.sellTower(tower);
     }
@@ -315,6 +1073,51 @@ class UIManager {
         });
     }
 
+    /**
+     * Highlight the active game speed button
+     */
+    updateSpeedControls(speed) {
+        this.elements.speedControls?.querySelectorAll('.btn-speed').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * Switch the game screen into replay playback
+     */
+    showReplayControls(finalTick) {
+        this.elements.gameContainer?.classList.add('replay-mode');
+        this.hideElement('exportReplayBtn');
+        if (this.elements.replayScrubber) {
+            this.elements.replayScrubber.max = finalTick;
+        }
+        this.showElement('replayControls');
+        this.updateReplayControls(0, finalTick, false);
+    }
+
+    /**
+     * Refresh play button, scrubber and clock for the current replay tick
+     */
+    updateReplayControls(tick, finalTick, isPaused) {
+        if (this.elements.replayPlayBtn) {
+            this.elements.replayPlayBtn.textContent = isPaused ? '▶ Phát' : '⏸ Tạm dừng';
+        }
+        if (this.elements.replayScrubber && !this.isScrubbing) {
+            this.elements.replayScrubber.value = tick;
+        }
+        if (!this.isScrubbing) {
+            this.updateReplayTime(tick, finalTick);
+        }
+    }
+
+    updateReplayTime(tick, finalTick) {
+        const format = ticks => {
+            const seconds = Math.floor(ticks * GameConstants.FIXED_TIMESTEP);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        this.updateElement('replayTime', `${format(tick)} / ${format(finalTick)}`);
+    }
+
     /**
      * Hide main menu and show game
      */
@@ -323,6 +1126,21 @@ class UIManager {
         this.showElement('gameContainer');
     }
 
+    /**
+     * Show the main menu "Continue" button for a saved game
+     */
+    showContinueOption(save) {
+        const btn = this.elements.continueGameBtn;
+        if (!btn) return;
+
+        const wave = save.game.currentWave;
+        const savedAt = new Date(save.savedAt).toLocaleString('vi-VN');
+        btn.textContent = `Tiếp Tục Ván Trước (Đợt ${wave})`;
+        const rules = { ...resolveRules(this.gameState.gameData), ...save.game.rules };
+        btn.title = [`Đã lưu lúc ${savedAt}`, `Độ khó: ${this.describeDifficulty(rules)}`, ...describeRules(rules)].join('\n');
+        this.showElement('continueGameBtn');
+    }
+
     /**
      * Show a notification message
      */
@@ -356,6 +1174,35 @@ class UIManager {
         }, 2500);
     }
 
+    /**
+     * List data.json problems in the error panel. Runs before init(),
+     * so elements are looked up directly.
+     */
+    showDataErrors(errors) {
+        const modal = document.getElementById('data-error-modal');
+        const list = document.getElementById('data-error-list');
+        const summary = document.getElementById('data-error-summary');
+        if (!modal || !list) return;
+
+        if (summary) {
+            summary.textContent = `Tệp data.json có ${errors.length} lỗi cần sửa trước khi chơi:`;
+        }
+
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const path = document.createElement('code');
+            path.textContent = error.path;
+            item.appendChild(path);
+            item.appendChild(document.createTextNode(error.message));
+            list.appendChild(item);
+        });
+
+        document.getElementById('main-menu')?.classList.add('hidden');
+        modal.classList.remove('hidden');
+        modal.classList.add('show');
+    }
+
     /**
      * Show wave summary modal
      */
@@ -368,6 +1215,7 @@ class UIManager {
             <p>Tiền kiếm được: $${Math.floor(stats.moneyEarned || 0)}</p>
             <p>Tháp đã đặt: ${stats.towersPlaced || 0}</p>
             <p>Sâu bệnh đã diệt: ${stats.infectionsCured || 0}</p>
+            ${this.describeIncome('Thu nhập đợt này', this.gameState.waveIncome)}
         `;
         
         this.elements.waveSummaryContent.innerHTML = content;
@@ -388,9 +1236,129 @@ class UIManager {
             <p>Tháp đã nâng cấp: ${stats.towersUpgraded || 0}</p>
             <p>Tổng sâu bệnh: ${stats.infectionsTotal || 0}</p>
             <p>Sâu bệnh đã diệt: ${stats.infectionsCured || 0}</p>
+            ${this.describeIncome('Nguồn thu nhập', stats.income)}
+            <h4>Hiệu quả từng tháp</h4>
+            <div id="tower-table"></div>
+            ${this.describeTreatments(stats)}
+            ${this.describeRulesSection(this.gameState.rules)}
+            <p>Mã ván chơi (seed): <code>${this.gameState.seed}</code> - mở trò chơi với <code>?seed=${this.gameState.seed}</code> để chơi lại đúng ván này</p>
         `;
         
         this.elements.finalStats.innerHTML = content;
+        this.renderTowerTable();
+    }
+
+    /**
+     * One row per tower built this game, sold ones included
+     */
+    getTowerTableRows() {
+        const { gameData, towers, soldTowers } = this.gameState;
+        const toRow = (tower, sold) => {
+            const towerData = gameData.towers.find(t => t.id === tower.id);
+            const path = towerData?.paths?.find(p => p.id === tower.path);
+            return {
+                name: `${towerData?.name || tower.id}${path ? ` - ${path.name}` : ''}`,
+                level: tower.level + 1,
+                record: { damageDealt: 0, kills: 0, moneyGenerated: 0, infectedTime: 0, ...tower.record },
+                cost: tower.totalCost,
+                sold
+            };
+        };
+        return towers.map(tower => toRow(tower, false))
+            .concat(soldTowers.map(tower => toRow(tower, true)));
+    }
+
+    /**
+     * Sortable table of every tower's lifetime statistics
+     */
+    renderTowerTable() {
+        const container = document.getElementById('tower-table');
+        if (!container) return;
+
+        const rows = this.getTowerTableRows();
+        if (rows.length === 0) {
+            container.innerHTML = '<p>Chưa xây tháp nào.</p>';
+            return;
+        }
+
+        const { key, descending } = this.towerTableSort;
+        const column = TOWER_TABLE_COLUMNS.find(c => c.key === key) || TOWER_TABLE_COLUMNS[0];
+        rows.sort((a, b) => {
+            const x = column.value(a);
+            const y = column.value(b);
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return descending ? -order : order;
+        });
+
+        const header = TOWER_TABLE_COLUMNS.map(c => {
+            const arrow = c.key === column.key ? (descending ? ' ▼' : ' ▲') : '';
+            return `<th><button type="button" data-sort="${c.key}">${c.label}${arrow}</button></th>`;
+        }).join('');
+        const body = rows.map(row => `
+            <tr class="${row.sold ? 'sold' : ''}">
+                ${TOWER_TABLE_COLUMNS.map(c => `<td>${c.format(c.value(row), row)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="tower-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Sort the tower table by a column, or flip the order if it already is
+     */
+    sortTowerTable(key) {
+        const sort = this.towerTableSort;
+        this.towerTableSort = sort.key === key ?
+            { key, descending: !sort.descending } :
+            { key, descending: key !== 'name' };
+        this.renderTowerTable();
+    }
+
+    /**
+     * Difficulty and every modifier that differs from the defaults
+     */
+    describeRulesSection(rules) {
+        const lines = describeRules(rules);
+        return `
+            <h4>Độ khó: ${this.describeDifficulty(rules)}</h4>
+            ${lines.length > 0 ? `<ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Money earned by source, leaving out sources that paid nothing
+     */
+    describeIncome(title, income = {}) {
+        const items = Object.entries(IncomeSources)
+            .filter(([source]) => income[source] > 0)
+            .map(([source, info]) => `<li>${info.icon} ${info.label}: $${Math.floor(income[source])}</li>`);
+        if (items.length === 0) return '';
+
+        return `
+            <h4>${title}</h4>
+            <ul>${items.join('')}</ul>
+        `;
+    }
+
+    /**
+     * How often each treatment was chosen, and its environmental cost
+     */
+    describeTreatments(stats) {
+        const treatments = this.gameState.gameData.game_settings.infection_mechanic?.treatments || [];
+        const used = treatments.filter(treatment => stats.treatmentsUsed?.[treatment.id]);
+        if (used.length === 0) return '';
+
+        const items = used.map(treatment => `<li>${treatment.name}: ${stats.treatmentsUsed[treatment.id]} lần</li>`);
+        return `
+            <h4>Phương pháp chữa trị đã dùng</h4>
+            <ul>${items.join('')}</ul>
+            <p>Tác động môi trường: ${stats.environmentImpact || 0}</p>
+        `;
     }
 
     /**
@@ -470,20 +1438,40 @@ export function updateTopBar(gameState) {
     uiManager.updateTopBar();
 }
 
+// Parts of the tower panel that change while the game runs
+export function updateSelectedTower(gameState) {
+    uiManager.gameState = gameState;
+    uiManager.updateAbilityButton();
+    uiManager.updateTowerRecord();
+}
+
 export function showTowerInfo(gameState, handlers) {
     uiManager.gameState = gameState;
     uiManager.handlers = handlers;
     uiManager.showTowerInfo();
 }
 
+export function updateWavePreview(gameState) {
+    uiManager.gameState = gameState;
+    uiManager.updateWavePreview();
+}
+
 export function hideMainMenu() {
     uiManager.hideMainMenu();
 }
 
+export function showContinueOption(save) {
+    uiManager.showContinueOption(save);
+}
+
 export function showNotification(message, isError) {
     uiManager.showNotification(message, isError);
 }
 
+export function showDataErrors(errors) {
+    uiManager.showDataErrors(errors);
+}
+
 export function showWaveSummary(gameState) {
     uiManager.gameState = gameState;
     uiManager.showWaveSummary();
@@ -504,6 +1492,18 @@ export function updateTowerSelection(towerId) {
     uiManager.updateTowerSelection(towerId);
 }
 
+export function updateSpeedControls(speed) {
+    uiManager.updateSpeedControls(speed);
+}
+
+export function showReplayControls(finalTick) {
+    uiManager.showReplayControls(finalTick);
+}
+
+export function updateReplayControls(tick, finalTick, isPaused) {
+    uiManager.updateReplayControls(tick, finalTick, isPaused);
+}
+
 export function setStartWaveButtonState(enabled) {
     uiManager.setButtonState('startWaveBtn', enabled);
 }
@@ -0,0 +1,85 @@
+// waves.js - Procedural waves for endless mode
+// Waves past the authored list are built from the enemies table within a difficulty budget that grows each wave
+
+import { SeededRandom } from './random.js';
+
+/**
+ * Budget cost of one enemy: its `threat`, or its reward when it has none
+ */
+export function enemyThreat(enemyData) {
+    return enemyData.threat ?? Math.max(1, enemyData.reward);
+}
+
+/**
+ * Difficulty budget of a generated wave
+ * @param {Object} settings - `game_settings.endless`
+ * @param {number} wavesPastEnd - 1 for the first wave after the authored list
+ */
+export function waveBudget(settings, wavesPastEnd) {
+    return settings.budget_start * Math.pow(1 + settings.budget_growth_pct / 100, wavesPastEnd - 1);
+}
+
+/**
+ * Build a wave past the authored list. Each wave draws from its own
+ * generator seeded from the game seed, so the next wave can be previewed
+ * without touching the game RNG and a seed always yields the same waves.
+ * @param {Object} gameData - Parsed data.json, with `game_settings.endless`
+ * @param {number} waveNumber - 1-based wave number, past `gameData.waves`
+ * @param {number} seed - Game seed
+ * @returns {Object} Wave in the data.json `waves` format, plus `boss`
+ */
+export function generateWave(gameData, waveNumber, seed) {
+    const settings = gameData.game_settings.endless;
+    const rng = new SeededRandom(seed ^ Math.imul(waveNumber, 0x9E3779B1));
+    const wavesPastEnd = waveNumber - gameData.waves.length;
+    let budget = waveBudget(settings, wavesPastEnd);
+
+    const composition = [];
+    const interval_ms = settings.interval_ms || 800;
+
+    // Boss waves open with the strongest boss the budget allows, or the weakest one
+    const isBossWave = settings.boss_every > 0 && wavesPastEnd % settings.boss_every === 0;
+    const bosses = gameData.enemies
+        .filter(enemy => enemy.boss)
+        .sort((a, b) => enemyThreat(a) - enemyThreat(b));
+    if (isBossWave && bosses.length > 0) {
+        const affordable = bosses.filter(enemy => enemyThreat(enemy) <= budget);
+        const boss = affordable.length > 0 ? affordable[affordable.length - 1] : bosses[0];
+        composition.push({ enemy_id: boss.id, count: 1, interval_ms });
+        budget = Math.max(0, budget - enemyThreat(boss));
+    }
+
+    // Escorts: a few random types sharing what is left. Types too weak to
+    // spend their share within max_group_size are left out while stronger ones remain.
+    const maxGroups = settings.max_groups || 3;
+    const maxGroupSize = settings.max_group_size || 30;
+    const escorts = gameData.enemies.filter(enemy => !enemy.boss);
+    const minThreat = budget / (maxGroups * maxGroupSize);
+    let candidates = escorts.filter(enemy => enemyThreat(enemy) <= budget && enemyThreat(enemy) >= minThreat);
+    if (candidates.length === 0) {
+        // Budget beyond every type: send the strongest ones
+        candidates = escorts
+            .filter(enemy => enemyThreat(enemy) <= budget)
+            .sort((a, b) => enemyThreat(b) - enemyThreat(a))
+            .slice(0, maxGroups);
+    }
+
+    const groupCount = Math.min(maxGroups, candidates.length);
+    const picked = [];
+    while (picked.length < groupCount) {
+        picked.push(rng.pick(candidates.filter(candidate => !picked.includes(candidate))));
+    }
+
+    picked.forEach(enemy => {
+        const count = Math.floor(budget / groupCount / enemyThreat(enemy));
+        composition.push({ enemy_id: enemy.id, count: Math.min(maxGroupSize, Math.max(1, count)), interval_ms });
+    });
+
+    // Never send an empty wave, even on a tiny budget
+    if (composition.length === 0) {
+        const weakest = [...gameData.enemies].sort((a, b) => enemyThreat(a) - enemyThreat(b))[0];
+        composition.push({ enemy_id: weakest.id, count: 1, interval_ms });
+    }
+
+    return { wave: waveNumber, composition, boss: isBossWave };
+}
@@ -0,0 +1,44 @@
+// weather.js - Seasons and weather
+// Every wave has a weather, set on the wave itself or taken from the cycle in data.json
+
+/**
+ * Canvas overlays a weather type can ask for
+ */
+export const WeatherOverlays = ['rain', 'storm', 'heat'];
+
+/**
+ * Weather of a wave: the wave's own `weather`, otherwise its entry in the cycle
+ * @param {Object} gameData - Parsed data.json
+ * @param {number} waveNumber - 1-based wave number
+ * @returns {Object|null} Entry from `weather.types`, or null when the data has no weather
+ */
+export function getWeatherForWave(gameData, waveNumber) {
+    const weather = gameData?.weather;
+    if (!weather || waveNumber < 1) return null;
+
+    const cycle = weather.cycle || [];
+    const weatherId = gameData.waves[waveNumber - 1]?.weather ??
+        (cycle.length > 0 ? cycle[(waveNumber - 1) % cycle.length] : null);
+    return weather.types.find(type => type.id === weatherId) || null;
+}
+
+/**
+ * Factor for one of a weather's percentage modifiers, 1 when it does not set it
+ * @param {Object|null} weather - Entry from `weather.types`
+ * @param {string} key - Modifier, e.g. "enemy_speed_pct"
+ * @param {string} [towerId] - For per-tower modifiers such as "tower_damage_pct"
+ */
+export function weatherMultiplier(weather, key, towerId = null) {
+    const modifier = weather?.[key];
+    const pct = towerId ? modifier?.[towerId] : modifier;
+    return 1 + (pct || 0) / 100;
+}
+
+/**
+ * Pests a wave composition group spawns in a weather, at least one
+ * @param {Object} group - Entry of a wave's `composition`
+ * @param {Object|null} weather - Entry from `weather.types`
+ */
+export function spawnCount(group, weather) {
+    return Math.max(1, Math.round(group.count * weatherMultiplier(weather, 'spawn_count_pct')));
+}